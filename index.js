@@ -1,7 +1,47 @@
+import fs from 'fs';
+import https from 'https';
+import tls from 'tls';
 import io from 'socket.io-client';
 import got from 'got';
 import jimp from 'jimp';
 import { InstanceBase, Regex, combineRgb, CreateConvertToBooleanFeedbackUpgradeScript, runEntrypoint } from '@companion-module/base'
+import { toSeconds, resolveTime } from './parsers.js';
+
+/**
+ * HTTPS agent that only hands out connections to a server presenting a certificate with the pinned SHA-256 fingerprint
+ * The certificate chain is not checked, as the device certificate is usually self-signed.
+ * @since 2.1.0
+ */
+class PinnedAgent extends https.Agent {
+	constructor(fingerprint, options = {}) {
+		super(options);
+		this.fingerprint = PinnedAgent.normalize(fingerprint);
+	}
+
+	static normalize(fingerprint) {
+		return String(fingerprint ?? '').replace(/[^0-9a-f]/gi, '').toUpperCase();
+	}
+
+	createConnection(options, callback) {
+		const socket = tls.connect({...options, rejectUnauthorized: false});
+		let done = false;
+		const finish = (err) => {
+			if(done) return;
+			done = true;
+			if(err) {
+				socket.destroy();
+			}
+			callback(err, err ? undefined : socket);
+		};
+
+		// Nothing is sent until the fingerprint is checked
+		socket.once('secureConnect', () => {
+			const fingerprint = PinnedAgent.normalize(socket.getPeerCertificate()?.fingerprint256);
+			finish(fingerprint === this.fingerprint ? null : new Error('Device certificate fingerprint does not match the pinned fingerprint'));
+		});
+		socket.once('error', finish);
+	}
+}
 
 /**
  * Companion instance for managing Haivision DE devices
@@ -12,25 +52,141 @@ class ConnectDvrInstance extends InstanceBase {
 		this.config = config;
 
 		this.MIN_BUFFER_TIME = 25;
-		this.RECONNECT_TIMEOUT = 10; // Number of seconds to try reconnect
+		this.RECONNECT_TIMEOUT = 10; // Number of seconds to try reconnect, doubled on each failed attempt
+		this.RECONNECT_MAX_TIMEOUT = 300; // Maximum number of seconds between reconnect attempts
+		this.RECONNECT_JITTER = 0.2; // Reconnect timeouts are randomly varied by this fraction, so multiple instances don't retry together
+		this.WATCHDOG_TIMEOUT = 20; // Number of seconds without updates before the connection is considered stale; channel durations are sent every 5 seconds or so
+		this.WATCHDOG_INTERVAL = 1000; // Check the connection every x millisec
+		this.CHANNEL_REFRESH = 10; // Number of minutes between reconnects to pick up channels added to or removed from the device
 		this.REBOOT_WAIT_TIME = 210; // Number of seconds to wait until next login after reboot; usually back up within 3.5 mins
+		this.STATUS_POLL_MAX_TIMEOUT = 3600; // Maximum number of seconds between system status polls the device refused, doubled on each refusal
 		this.PREVIEW_REFRESH = 1500; // Only pull thumbnail every x millisec
+		this.CHANNEL_THUMBNAIL_REFRESH = 10000; // Only pull each channel's thumbnail every x millisec
+		this.CHANNEL_THUMBNAIL_INTERVAL = 1000; // Only pull one channel thumbnail every x millisec, however many buttons show them
 		this.LOGIN_TIMEOUT = 5000; // Timeout for logins
+		this.OUT_POINT_GRACE = 2000; // Ignore out points for x millisec after loading, as the device may still send the old time
+		this.DELAY_CORRECTION_INTERVAL = 10000; // Only correct tape-delay drift every x millisec, to let the device settle after a load
+		this.DEFAULT_CUEPOINT_SLOTS = 5; // Number of cue point slots if not configured
+		this.CONFIRM_TIMEOUT = 3; // Number of seconds an armed action waits for the confirming press
+		this.HISTORY_SIZE = 20; // Number of positions kept to go back to
+		this.FEEDBACK_VARIABLES_REFRESH = 1000; // Parse the variables in feedback channel fields every x millisec while in use, as feedbacks are checked synchronously
+		this.JOG_SETTLE_TIME = 400; // Load the jog target once the dial has not turned for x millisec
+		this.JOG_ACCELERATION = [[60, 8], [120, 4], [250, 2]]; // Step multiplier when a jog tick follows the previous one within x millisec
+		this.OUTPUT_ACTIONS = ['playpause', 'channel', 'take', 'play', 'pause', 'skip', 'jog', 'goto', 'goto_time_of_day', 'set_cuepoint', 'recall_cuepoint']; // Actions with an output selector
+		this.LOCKABLE_ACTIONS = [ // Actions that change the output, ignored while controls are locked
+			'playpause', 'channel', 'take', 'reboot', 'play', 'pause', 'skip', 'jog', 'goto', 'recall_cuepoint', 'goto_time_of_day', 'history_back', 'history_forward',
+			'delay_start', 'delay_stop', 'rundown_next', 'rundown_previous', 'rundown_restart', 'rundown_goto'
+		];
+		this.ACTION_REQUIREMENTS = { // Account roles actions need, where known
+			reboot: { roles: ['admin', 'administrator'] }
+		};
 
 		this.reconnecting = null;
+		this.simulator = null;
+		this.tls = this._load_tls_options();
+		this._watchdog = null;
+		this.connection = {
+			state: 'disconnected',
+			last_message: null,
+			reconnects: 0,
+			attempt: 0,
+			last_error: ''
+		};
 
 		this.channels = {};
+		this.recording_starts = {}; // Estimated start of each channel's recording, kept across reconnects
+		this.channel_health = {}; // Health state of each channel, kept across reconnects
+		this._channels_loaded_at = null;
 		this.player_status = {};
+		this.outputs = {}; // Outputs other than the first (player2, player3...), the first output is player_status, cur_channel and cur_time
 		this.cur_channel = null;
 		this.session_id = null;
 		this.cur_time = null;
+		this.selected_channel = null; // Channel to load on Take
+		this._missing_channel_warnings = new Set(); // Channel references from feedbacks already warned about
+		this._feedback_channel_references = new Map(); // Feedback ID -> channel field with variables and what it parsed to
+		this._feedback_variables_refresh = null;
+		this.history = { back: [], forward: [] }; // Positions ({channel, time}) before and after jumps
+		this.armed = null; // Action waiting for the confirming press
+		this.capabilities = { role: null, firmware: null }; // Reported by the device at login, null if unknown
+		this.system_status = null; // Last polled system status, null if not polled
+		this._status_poll = null;
+		this._status_poll_refusals = 0; // System status polls refused in a row
+		this.locked = false;
 		this.stream_cache_feedback = null;
-		this.cuepoints = {};
+		this.cuepoints = this._load_cuepoints();
+		this.rundown = Array.isArray(this.config.rundown) ? [...this.config.rundown] : [];
+		this.rundown_index = -1;
+		this.rundown_auto_advance = true;
+		this._rundown_loaded_at = 0;
+		this.loop = {
+			channel: null,
+			in: null,
+			out: null,
+			enabled: false,
+			pause_at_out: false,
+			loaded_at: 0
+		};
+		this.delay = {
+			channel: null,
+			target: null,
+			tolerance: 0,
+			corrected_at: 0
+		};
+		this.jog = {
+			coarse: false,
+			channel: null,
+			output: null,
+			target: null, // Time to load once the dial settles, null if not turning
+			direction: 0,
+			ticked_at: 0,
+			timer: null
+		};
 		this._image_refresh = null;
+		this.channel_thumbnails = {};
+		this._thumbnail_subscriptions = new Map(); // Feedback ID -> channel ID
+		this._thumbnail_refresh = null;
+		this._preview_source = null; // Full size preview image, to render the sizes and overlays in use from
+		this._preview_sizes = {}; // Preview image resized to each size in use, without overlays
+		this._preview_renders = {}; // Rendered preview per feedback options
+		this._preview_render_overlays = {}; // Overlays drawn on each rendered preview, to only render again when they change
+		this._progress_bars = new Map(); // Feedback ID -> progress bar last drawn for it
+		this._preview_subscriptions = new Map(); // Feedback ID -> feedback options key
+		this._preview_font = null;
+		this._preview_rendering = false;
+		this._preview_render_pending = false;
 
 		this.initVariables();
+		this.setVariableValues({
+			time: '00:00:00',
+			duration: '00:00:00',
+			remaining: '00:00:00',
+			channel_name: '',
+			channel_id: '',
+			connection_state: 'disconnected',
+			last_message_age: '',
+			reconnect_count: 0,
+			last_error: '',
+			live_offset: '',
+			selected_channel: '',
+			selected_channel_id: '',
+			armed: '',
+			history_previous: '',
+			history_next: '',
+			jog_target: '',
+			jog_mode: 'fine',
+			user_role: '',
+			firmware_version: '',
+		});
+		this._update_status_variables();
+		this._update_cuepoint_variables();
+		this._update_rundown_variables();
+		this._update_loop_variables();
+		this._update_delay_variables();
+
+		await this._update_simulator();
 
-		if(this.config.host) {
+		if((this.config.host && this.tls) || this.simulator) {
 			this.login(true);
 		}
 	}
@@ -53,15 +209,259 @@ class ConnectDvrInstance extends InstanceBase {
 			{
 				name: 'Remaining time in playing video (HH:MM:SS format).',
 				variableId:  'remaining'
+			},
+			{
+				name: 'Name of the active channel.',
+				variableId:  'channel_name'
+			},
+			{
+				name: 'ID of the active channel.',
+				variableId:  'channel_id'
+			},
+			{
+				name: 'Name of the channel selected to load on Take.',
+				variableId:  'selected_channel'
+			},
+			{
+				name: 'ID of the channel selected to load on Take.',
+				variableId:  'selected_channel_id'
+			},
+			{
+				name: 'Action armed and waiting for the confirming press.',
+				variableId:  'armed'
+			},
+			{
+				name: 'Position Back returns to (channel name and HH:MM:SS).',
+				variableId:  'history_previous'
+			},
+			{
+				name: 'Position Forward returns to (channel name and HH:MM:SS).',
+				variableId:  'history_next'
+			},
+			{
+				name: 'Time the jog dial will go to once it stops turning (HH:MM:SS, empty if not turning).',
+				variableId:  'jog_target'
+			},
+			{
+				name: 'Jog mode (fine or coarse).',
+				variableId:  'jog_mode'
+			},
+			{
+				name: 'Role of the logged in account, as reported by the device.',
+				variableId:  'user_role'
+			},
+			{
+				name: 'Firmware version of the device.',
+				variableId:  'firmware_version'
+			},
+			{
+				name: 'Storage used on the device (GB).',
+				variableId:  'disk_used'
+			},
+			{
+				name: 'Storage free on the device (GB).',
+				variableId:  'disk_free'
+			},
+			{
+				name: 'Storage used on the device (percent).',
+				variableId:  'disk_used_percent'
+			},
+			{
+				name: 'Time since the device started (days and HH:MM:SS).',
+				variableId:  'uptime'
+			},
+			{
+				name: 'Hostname of the device.',
+				variableId:  'device_hostname'
+			},
+			{
+				name: 'IP address of the device.',
+				variableId:  'device_ip'
+			},
+			{
+				name: 'Connection state (connecting, connected, stale, disconnected or failed).',
+				variableId:  'connection_state'
+			},
+			{
+				name: 'Seconds since the last update from the device.',
+				variableId:  'last_message_age'
+			},
+			{
+				name: 'Number of reconnect attempts.',
+				variableId:  'reconnect_count'
+			},
+			{
+				name: 'Last connection error.',
+				variableId:  'last_error'
+			},
+			{
+				name: 'How far the output is behind live, if the channel is live (HH:MM:SS format).',
+				variableId:  'live_offset'
+			},
+			{
+				name: 'Wall-clock time of day of the current playing time (HH:MM:SS format).',
+				variableId:  'time_of_day'
+			},
+			{
+				name: 'Wall-clock time of day the active channel started recording (HH:MM:SS format).',
+				variableId:  'recording_start'
+			},
+			{
+				name: 'In point for loop (HH:MM:SS format).',
+				variableId:  'loop_in'
+			},
+			{
+				name: 'Out point for loop and auto-pause (HH:MM:SS format).',
+				variableId:  'loop_out'
+			},
+			{
+				name: 'Target delay behind live in tape-delay mode (HH:MM:SS format).',
+				variableId:  'delay_target'
+			},
+			{
+				name: 'Actual delay behind live in tape-delay mode (HH:MM:SS format).',
+				variableId:  'delay_actual'
+			},
+			{
+				name: 'Number of the current rundown item.',
+				variableId:  'rundown_index'
+			},
+			{
+				name: 'Number of items in the rundown.',
+				variableId:  'rundown_count'
+			},
+			{
+				name: 'Current rundown item.',
+				variableId:  'rundown_current'
+			},
+			{
+				name: 'Next rundown item.',
+				variableId:  'rundown_next'
+			},
+			{
+				name: 'Time left in the current rundown item (HH:MM:SS format).',
+				variableId:  'rundown_remaining'
 			}
 		];
 
+		for(const id in this.outputs) {
+			const label = this._get_output_label(id);
+
+			variables.push(
+				{
+					name: `${label} time played (HH:MM:SS format).`,
+					variableId: this._output_variable_id(id, 'time')
+				},
+				{
+					name: `${label} duration of current clip (HH:MM:SS format).`,
+					variableId: this._output_variable_id(id, 'duration')
+				},
+				{
+					name: `${label} time remaining (HH:MM:SS format).`,
+					variableId: this._output_variable_id(id, 'remaining')
+				},
+				{
+					name: `${label} active channel name.`,
+					variableId: this._output_variable_id(id, 'channel_name')
+				},
+				{
+					name: `${label} active channel ID.`,
+					variableId: this._output_variable_id(id, 'channel_id')
+				}
+			);
+		}
+
+		for(const id in this.channels) {
+			const name = this.channels[id].name;
+
+			variables.push(
+				{
+					name: `Channel ${name} name.`,
+					variableId: this._channel_variable_id(id, 'name')
+				},
+				{
+					name: `Channel ${name} duration (HH:MM:SS format).`,
+					variableId: this._channel_variable_id(id, 'duration')
+				},
+				{
+					name: `Channel ${name} cloud duration (HH:MM:SS format).`,
+					variableId: this._channel_variable_id(id, 'cloud_duration')
+				},
+				{
+					name: `Channel ${name} is live.`,
+					variableId: this._channel_variable_id(id, 'live')
+				},
+				{
+					name: `Channel ${name} error message.`,
+					variableId: this._channel_variable_id(id, 'error')
+				},
+				{
+					name: `Channel ${name} health (idle, live, stalled or error).`,
+					variableId: this._channel_variable_id(id, 'health')
+				}
+			);
+		}
+
+		this._get_allowed_cuepoints().forEach((slot) => {
+			variables.push(
+				{
+					name: `Cue point slot ${slot.id} label.`,
+					variableId: `cuepoint_${slot.id}_label`
+				},
+				{
+					name: `Cue point slot ${slot.id} channel name.`,
+					variableId: `cuepoint_${slot.id}_channel`
+				},
+				{
+					name: `Cue point slot ${slot.id} time (HH:MM:SS format).`,
+					variableId: `cuepoint_${slot.id}_time`
+				}
+			);
+		});
+
 		this.setVariableDefinitions(variables);
+	}
+
+	/**
+	 * Returns the variable ID for a channel's value, as channel IDs may contain characters not allowed in variable IDs
+	 * @param {String} id ID of the channel
+	 * @param {String} key Value of the channel
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_channel_variable_id(id, key) {
+		return 'channel_' + String(id).replace(/[^\w-]/g, '_') + '_' + key;
+	}
+
+	/**
+	 * Update the variables of a channel
+	 * @param {String} id ID of the channel
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_channel_variables(id) {
+		const channel = this.channels[id];
+
 		this.setVariableValues({
-			time: '00:00:00',
-			duration: '00:00:00',
-			remaining: '00:00:00',
+			[this._channel_variable_id(id, 'name')]: channel.name ?? '',
+			[this._channel_variable_id(id, 'duration')]: this._userFriendlyTime(channel.duration ?? 0),
+			[this._channel_variable_id(id, 'cloud_duration')]: this._userFriendlyTime(channel.cloud_duration ?? 0),
+			[this._channel_variable_id(id, 'live')]: this.is_live(id),
+			[this._channel_variable_id(id, 'error')]: channel.error?.message ?? '',
+			[this._channel_variable_id(id, 'health')]: this.channel_health[id]?.state ?? 'idle'
 		});
+
+		if(id === this.cur_channel) {
+			this.setVariableValues({
+				channel_name: channel.name ?? ''
+			});
+		}
+		if(id === this.selected_channel) {
+			this.setVariableValues({
+				selected_channel: channel.name ?? ''
+			});
+		}
 	}
 
 	/**
@@ -76,7 +476,20 @@ class ConnectDvrInstance extends InstanceBase {
 		}
 
 		this.config = config;
-		if(this.config.host && this.config.username && this.config.password) {
+		this._save_state(); // Config edits must never wipe the saved cue points or rundown
+		this._status_poll_refusals = 0; // The account or device may have changed
+
+		// Slot count may have changed
+		this.initVariables();
+		this._update_cuepoint_variables();
+		this.actions();
+		this.initFeedbacks();
+		this.initPresets();
+
+		this.tls = this._load_tls_options();
+		await this._update_simulator();
+
+		if((this.config.host && this.config.username && this.config.password && this.tls) || this.simulator) {
 			this.login(true);
 		}
 	}
@@ -88,9 +501,9 @@ class ConnectDvrInstance extends InstanceBase {
 	 */
 	initSocket() {
 		this.updateStatus('connecting', 'Connecting to socket');
-		this.socket = io('https://' + this.config.host, {
+		this.socket = io(this._get_url(), {
 			path: '/transport/socket.io/',
-			rejectUnauthorized: false,
+			...this.tls,
 			forceNode: true,
 			transports: ['websocket'],
 			transportOptions: {
@@ -105,720 +518,4169 @@ class ConnectDvrInstance extends InstanceBase {
 		this.socket
 			.on('connect', () => {
 				this.updateStatus('ok');
+				this.connection.attempt = 0;
+				this.connection.last_message = new Date();
+				this._set_connection_state('connected');
+				this._start_watchdog();
 			})
 			.on('connect_error', this._reconnect.bind(this))
 			.on('logout', () => this._reconnect({ message: 'Session logged out...' }, true))
 			.on('model:delta', (type, arg1) => {
+					this._message_received();
 					if(type === 'player') {
 						this._player_updates(arg1);
+					} else if(this._is_output(type)) {
+						this._output_updates(type, arg1);
+					} else if(type === 'channel' && Array.isArray(arg1) && this.config.experimental) {
+						this._channel_list_updates(arg1);
 					} else if(type in this.channels) {
 						this._channel_updates(type, arg1);
 					}
 				})
-			.on('data:init', this.device_init.bind(this));
+			.on('data:init', (data) => {
+				this._message_received();
+				this.device_init(data);
+			});
 	}
 
 	/**
-	 * Updates that are received from the server relating to a specific channel
-	 * @param {String} id
-	 * @param {Object} params Raw parameters sent from the server
+	 * Record that a message was received from the device, for the watchdog
 	 * @access private
-	 * @since 1.0.0
+	 * @since 2.1.0
 	 */
-	_channel_updates(id, params) {
-		if('duration' in params && this.channels[id].duration !== params.duration) {
-			params.last_duration_change = new Date();
-		}
-		this.channels[id] = {...this.channels[id], ...params};
-
-		// If current channel is playing, update the duration variable
-		if(id === this.cur_channel) {
-			this.setVariableValues({
-				duration: this._userFriendlyTime(this.channels[this.cur_channel].duration),
-				remaining: 'time' in this.player_status ? this._userFriendlyTime(this.channels[this.cur_channel].duration - this.player_status.time) : '00:00:00'
-			});
-		}
+	_message_received() {
+		this.connection.last_message = new Date();
 
-		// cloud_duration is sent often for all channels, so we'll use it to validate that the duration is increasing
-		if('cloud_duration' in params && params['cloud_duration'] > 0) {
-			this.checkFeedbacks('streaming');
+		if(this.connection.state === 'stale') {
+			this._set_connection_state('connected');
 		}
 	}
 
 	/**
-	 * Updates that are received from the server relating to what's playing
-	 * @param {Object} args Raw arguments from the server
+	 * Start checking that the device keeps sending updates
 	 * @access private
-	 * @since 1.0.0
+	 * @since 2.1.0
 	 */
-	_player_updates(args) {
-		if(!args) {
-			return;
-		}
+	_start_watchdog() {
+		this._stop_watchdog();
+		this._watchdog = setInterval(this._check_watchdog.bind(this), this.WATCHDOG_INTERVAL);
+	}
 
-		this.player_status = {...this.player_status, ...args};
-		if('time' in args) {
-			this._set_cur_time(args.time);
-		}
-		if('active_channel_id' in args) {
-			this.log('debug', 'Setting active channel to ' + args.active_channel_id);
-			this.set_live_channel(args.active_channel_id);
-		}
-		if('playing' in args) {
-			this.get_latest_image();
-			this.checkFeedbacks('playing', 'stopped', 'previewpic');
+	_stop_watchdog() {
+		if(this._watchdog) {
+			clearInterval(this._watchdog);
+			this._watchdog = null;
 		}
 	}
 
 	/**
-	 * Set the current time, may have been received from the server
-	 * @param {String} time Time to set
+	 * Reconnects if the socket is open but the device stopped sending updates
 	 * @access private
-	 * @since 1.0.0
+	 * @since 2.1.0
 	 */
-	_set_cur_time(time) {
-		this.cur_time = parseFloat(time);
+	_check_watchdog() {
+		const age = this._get_message_age();
+		const timeout = this._get_config_number('watchdog_timeout', this.WATCHDOG_TIMEOUT);
+
 		this.setVariableValues({
-			time: this._userFriendlyTime(this.cur_time)
+			last_message_age: age !== null ? Math.floor(age) : ''
 		});
+		this.checkFeedbacks('message_age');
 
-		return this.cur_time;
+		// is_live() is based on the time since the last duration change, so stalls are only noticed by polling
+		this._check_channels_health();
+
+		if(timeout > 0 && age !== null && age > timeout) {
+			this._set_connection_state('stale');
+			this._reconnect({ message: `No updates from device for ${Math.floor(age)} seconds` });
+		} else if(this._is_channel_list_due()) {
+			this._refresh_channel_list();
+		}
 	}
 
 	/**
-	 * Attempt a reconnect on connection lost/logout
-	 * @param {Boolean} retry_immediately Immediately try reconnecting, useful if the session may have ended
-	 * @access public
-	 * @since 1.0.0
+	 * Returns if the channel list should be loaded again
+	 * @returns {Boolean}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	_reconnect(error, retry_immediately = false) {
-		this.log('warn', `Connection to server ended. Will attempt to reconnect. Error ${error?.message}`);
-		this.updateStatus('disconnected', 'Disconnected and will attempt to reconnect...');
-
-		this._endConnection();
+	_is_channel_list_due() {
+		const interval = this._get_config_number('channel_refresh', this.CHANNEL_REFRESH);
 
-		if(retry_immediately) {
-			this.login(true);
-		} else {
-			this.keep_login_retry(this.RECONNECT_TIMEOUT);
-		}
+		return interval > 0 && this._channels_loaded_at !== null && (new Date - this._channels_loaded_at) > interval * 60000;
 	}
 
 	/**
-	 * Try login again after timeout
-	 * @param {Int} timeout Timeout to try reconnection
-	 * @access public
-	 * @since 1.0.0
+	 * Reconnect the socket, so the device sends the channel list again
+	 * The device is not known to send an update when channels are added or removed, but it sends every channel in data:init on each connection.
+	 * @access private
+	 * @since 2.1.0
 	 */
-	keep_login_retry(timeout) {
-		if(this.reconnecting) {
+	_refresh_channel_list() {
+		if(this.socket === undefined) {
 			return;
 		}
 
-		this.log('info', 'Attempting to reconnect in ' + timeout + ' seconds.');
-		this.reconnecting = setTimeout(this.login.bind(this, true), timeout * 1000);
+		this.log('debug', 'Reconnecting to refresh the channel list.');
+		this._channels_loaded_at = new Date(); // Not again until the interval has passed, even if data:init is late
+		this.socket.disconnect();
+		this.socket.connect();
 	}
 
-	_stopOldLogin() {
-		if(this.reconnecting) {
-			clearTimeout(this.reconnecting);
-			this.reconnecting = null;
+	/**
+	 * Returns the number of seconds since the last message from the device
+	 * @returns {Float|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_message_age() {
+		if(this.connection.last_message === null) {
+			return null;
 		}
+
+		return (new Date - this.connection.last_message) / 1000;
 	}
 
 	/**
-	 * Login to the device
-	 * @param {Boolean} retry Set to true to continue retrying logins (only after a good first connection)
-	 * @access public
-	 * @since 1.0.0
+	 * Returns a number from the config, or the default if not set
+	 * @param {String} id Config field ID
+	 * @param {Number} default_value
+	 * @returns {Number}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	async login(retry = false) {
-		this.updateStatus('connecting', 'Logging in');
+	_get_config_number(id, default_value) {
+		const value = parseFloat(this.config[id]);
 
-		this._stopOldLogin();
+		return isNaN(value) ? default_value : value;
+	}
 
-		const data = await got.post(`https://${this.config.host}/api/session`, {
-			json: {
-				username: this.config.username,
-				password: this.config.password
-			},
-			timeout: {
-				request: this.LOGIN_TIMEOUT
-			},
-			https: {
-				rejectUnauthorized: false,
-			},
-		}).json()
-		.catch(e => {
-			this.log('debug', `Could not connect to ${this.config.host}: ${e.message}`);
-			this.updateStatus('connection_failure', e.message)
+	/**
+	 * Update the connection state, variables and feedbacks
+	 * @param {String} state connecting, connected, stale, disconnected or failed
+	 * @param {String} error Error to record, if any
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_set_connection_state(state, error = null) {
+		this.connection.state = state;
+		if(error) {
+			this.connection.last_error = error;
+		}
 
-			if(retry) {
-				this.keep_login_retry(this.RECONNECT_TIMEOUT);
-			}
-		})
+		this.setVariableValues({
+			connection_state: state,
+			reconnect_count: this.connection.reconnects,
+			last_error: this.connection.last_error
+		});
+		this.checkFeedbacks('connection_state');
+	}
 
-		if(data) {
-			this.session_id = data.response.sessionID;
-			this.log('info', 'Successfully connected. Session ID is ' + this.session_id + '.');
+	/**
+	 * Updates that are received from the server relating to a specific channel
+	 * @param {String} id
+	 * @param {Object} params Raw parameters sent from the server
+	 * @access private
+	 * @since 1.0.0
+	 */
+	_channel_updates(id, params) {
+		if('duration' in params && this.channels[id].duration !== params.duration) {
+			params.last_duration_change = new Date();
 
-			this.initSocket();
-			return true;
+			// Recording restarted, so the old start time is no longer valid
+			if(params.duration < this.channels[id].duration) {
+				delete this.recording_starts[id];
+			}
+			if(!(id in this.recording_starts)) {
+				this.recording_starts[id] = new Date(params.last_duration_change - params.duration * 1000);
+			}
+		}
+		const renamed = 'name' in params && this.channels[id].name !== params.name;
+		this.channels[id] = {...this.channels[id], ...params};
+		this._check_channel_health(id);
+
+		if(renamed) {
+			this._channels_changed();
 		} else {
-			return false;
+			this._update_channel_variables(id);
 		}
-	}
 
-	/**
-	 * Initialize the device data received from server
-	 * @param {Object} data Data received from server
-	 * @access public
-	 * @since 1.0.0
-	 */
-	device_init(data) {
-		this.channels = {};
-		this.player_status = data.player;
-		if('active_channel_id' in data.player) {
-			this.set_live_channel(data.player['active_channel_id']);
+		if(id === this.delay.channel && 'duration' in params) {
+			this._check_delay();
 		}
-		if('time' in data.player) {
-			this._set_cur_time(data.player['time'])
+
+		// If current channel is playing, update the duration variable
+		if(id === this.cur_channel) {
+			this.setVariableValues({
+				duration: this._userFriendlyTime(this.channels[this.cur_channel].duration),
+				remaining: 'time' in this.player_status ? this._userFriendlyTime(this.channels[this.cur_channel].duration - this.player_status.time) : '00:00:00'
+			});
+			this._update_live_offset();
+		}
+		for(const output_id in this.outputs) {
+			if(this.outputs[output_id].channel === id) {
+				this._update_output_variables(output_id);
+			}
 		}
-		data.channel.forEach((id) => {
-			this.channels[id] = data[id];
-		});
 
-		this.actions();
-		this.initFeedbacks();
-		this.get_latest_image();
+		// cloud_duration is sent often for all channels, so we'll use it to validate that the duration is increasing
+		if('cloud_duration' in params && params['cloud_duration'] > 0) {
+			this.checkFeedbacks('streaming');
+		}
 	}
 
 	/**
-	 * Sets a current channel as live
-	 * @param {String} id ID of channel to set as live
-	 * @access public
-	 * @since 1.0.0
+	 * Returns if a model type is an output other than the first
+	 * The device is assumed to send outputs as player2, player3... and to address them by index in commands; this is not confirmed on a device, so other outputs are only used with experimental features on.
+	 * @param {String} id
+	 * @returns {Boolean}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	set_live_channel(id) {
-		this.cur_channel = id;
-		this.checkFeedbacks('active');
+	_is_output(id) {
+		return !!this.config.experimental && /^player\d+$/.test(id);
 	}
 
 	/**
-	 * Configuration fields that can be used
-	 * @returns {Array}
-	 * @access public
-	 * @since 1.0.0
+	 * Returns the name of an output
+	 * @param {String} id ID of the output
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	getConfigFields() {
-		return [
-			{
-				type: 'static-text',
-				id: 'info',
-				width: 12,
-				label: 'Information',
-				value: 'This will connect with Haivision Connect DVR. If you are using the operator account you will not be able to use the reboot functionality.'
-			},
-			{
-				type: 'textinput',
-				id: 'host',
-				label: 'Target IP',
-				width: 12,
-				regex: Regex.IP,
-				useVariables: true,
-			},
-			{
-				type: 'textinput',
-				id: 'username',
-				label: 'Username',
-				value: 'haioperator',
-				width: 6,
-				useVariables: true,
-			},
-			{
-				type: 'textinput',
-				id: 'password',
-				label: 'Password',
-				width: 6,
-				useVariables: true,
-			}
-		]
+	_get_output_label(id) {
+		return 'Output ' + (id === 'player' ? 1 : parseInt(id.substring(6)));
 	}
 
 	/**
-	 * Returns the choices for channels to use for dropdowns
+	 * Returns the variable ID for a value of an output other than the first
+	 * @param {String} id ID of the output
+	 * @param {String} key
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_output_variable_id(id, key) {
+		return `output_${parseInt(id.substring(6))}_${key}`;
+	}
+
+	/**
+	 * Returns the outputs for dropdowns
 	 * @returns {Array}
 	 * @access private
-	 * @since 1.0.0
+	 * @since 2.1.0
 	 */
-	_get_channel_choices(blank = false) {
-		var ret = [];
+	_get_output_choices() {
+		return ['player', ...Object.keys(this.outputs)].map(id => ({ id: id, label: this._get_output_label(id) }));
+	}
 
-		if(blank) {
-			ret.push({
-				id: '',
-				label: ''
-			});
+	/**
+	 * Returns the state of an output
+	 * @param {String} output ID of the output, player for the first output
+	 * @returns {Object|null} id, index (sent with commands), channel, time and status; null if the device does not have the output
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_output(output = 'player') {
+		if(output === 'player') {
+			return { id: 'player', index: -1, channel: this.cur_channel, time: this.cur_time, status: this.player_status };
 		}
 
-		for(var id in this.channels) {
-			ret.push({
-				id: this.channels[id].id,
-				label: this.channels[id].name
-			});
-		}
-		return ret;
+		return this.outputs[output] ?? null;
 	}
 
 	/**
-	 * Setup the actions
-	 * @param {Object} system
-	 * @access public
-	 * @since 1.0.0
+	 * Discover the outputs other than the first in the data received from the server
+	 * @param {Object} data Data received from server
+	 * @access private
+	 * @since 2.1.0
 	 */
-	actions() {
-		this.setActionDefinitions({
-			playpause: {
-				name: 'Play/Pause Toggle',
-				options: [],
-				callback: this.play_pause.bind(this)
-			},
-			channel: {
-				name: 'Load Channel',
-				options: [
-					{
-						type: 'dropdown',
-						label: 'Channel ID',
-						id: 'channel',
-						choices: this._get_channel_choices(true)
-					},
-					{
-						type: 'textinput',
-						label: 'Start time in seconds or HH:MM:SS format (empty for end, if live, or start if not live)',
-						id: 'initial_time',
-						default: '',
-						useVariables: true,
-					}
-				],
-				callback: async (event) => {
-					const init_time = await this.parseVariablesInString(event.options.initial_time);
-
-					this.load_channel(event.options.channel, this._toSeconds(init_time));
-				}
-			},
-			reboot: {
-				name: 'Reboot Device',
-				options: [],
-				callback: this.reboot.bind(this)
-			},
-			play: {
-				name: 'Play',
-				options: [],
-				callback: this.play.bind(this)
-			},
-			pause: {
-				name: 'Pause',
-				options: [],
-				callback: this.pause.bind(this)
-			},
-			skip: {
-				name: 'Skip backward or forward',
-				description: 'Time, in seconds, to skip backward or forward. Use negative numbers to skip backwards.',
-				options: [
-					{
-						type: 'textinput',
-						label: 'Skip Time',
-						id: 'skip_time',
-						default: 5,
-						regex: Regex.SIGNED_NUMBER
-					}
-				],
-				callback: this.skip_live.bind(this)
-			},
-			goto: {
-				name: 'Go to time in current channel',
-				options: [
-					{
-						type: 'textinput',
-						label: 'Time',
-						id: 'time',
-						default: '',
-						tooltip: 'Time to go to in seconds or HH:MM:SS format.',
-						useVariables: true,
-					}
-				],
-				callback: async (event) => {
-					if(this.cur_channel === null) {
-						this.log('warn', 'Cannot go to time when channel not loaded.');
-					} else {
-						const time = await this.parseVariablesInString(event.options.time);
+	_init_outputs(data) {
+		for(const id in this.outputs) {
+			clearTimeout(this.outputs[id].image_refresh);
+		}
+		this.outputs = {};
 
-						this.load_channel(this.cur_channel, this._toSeconds(time));
-					}
-				}
-			},
-			set_cuepoint: {
-				name: 'Set Cue Point',
-				options: [
-					{
-						type: 'dropdown',
-						label: 'Slot Number',
-						id: 'cuepoint_id',
-						default: 1,
-						tooltip: 'Select a slot to store the current elapsed time and channel as a cuepoint for later recall. Set points do not survive a server restart.',
-						choices: this._get_allowed_cuepoints()
-					}
-				],
-				callback: this.set_cuepoint.bind(this)
-			},
-			recall_cuepoint: {
-				name: 'Recall Cue Point',
-				options: [
-					{
-						type: 'dropdown',
-						label: 'Slot Number',
-						id: 'cuepoint_id',
-						default: 1,
-						tooltip: 'Select a slot to recall. If there is not a cuepoint saved, nothing will happen. Use feedbacks to change colors if a cuepoint is set for a slot.',
-						choices: this._get_allowed_cuepoints()
-					},
-					{
-						type: 'dropdown',
-						label: 'Play State',
-						id: 'play_state',
-						default: 'pause',
-						tooltip: 'Should the clip start in a playing or paused state.',
-						choices: [
-							{ id: 'play', label: 'Playing' },
-							{ id: 'pause', label: 'Paused' }
-						]
-					}
-				],
-				callback: this.recall_cuepoint.bind(this)
+		for(const id in data) {
+			if(this._is_output(id)) {
+				this._add_output(id, data[id]);
 			}
-		});
+		}
 	}
 
 	/**
-	 * Returns list of allowed cue points slots
-	 * @access protected
-	 * @return {Object}
-	 * @since 1.1.0
+	 * Add an output other than the first
+	 * @param {String} id ID of the output
+	 * @param {Object} status Raw player status sent from the server
+	 * @access private
+	 * @since 2.1.0
 	 */
-	_get_allowed_cuepoints() {
-		return [
-			{ id: '1', label: 'Slot 1' },
-			{ id: '2', label: 'Slot 2' },
-			{ id: '3', label: 'Slot 3' },
-			{ id: '4', label: 'Slot 4' },
-			{ id: '5', label: 'Slot 5' },
-		];
+	_add_output(id, status) {
+		this.outputs[id] = {
+			id: id,
+			index: parseInt(id.substring(6)) - 1, // The first output is sent as -1 (default), as it always has been
+			channel: status?.active_channel_id ?? null,
+			time: 'time' in (status ?? {}) ? parseFloat(status.time) : null,
+			status: {...status},
+			image: null,
+			image_refresh: null
+		};
+		this.log('info', this._get_output_label(id) + ' found.');
 	}
 
 	/**
-	 * Toggles play/pause
-	 * @returns {Boolean}
-	 * @access public
-	 * @since 1.0.0
+	 * Updates that are received from the server relating to what's playing on an output other than the first
+	 * @param {String} id ID of the output
+	 * @param {Object} args Raw arguments from the server
+	 * @access private
+	 * @since 2.1.0
 	 */
-	play_pause() {
-		if(!this._isConnected()) {
-			return false;
+	_output_updates(id, args) {
+		if(!args) {
+			return;
 		}
 
-		this.log('info', 'Sending pause/play command.');
-		this.socket.emit('sendAndCallback2', 'playback:togglePlayState');
-		return true;
-	}
+		if(!(id in this.outputs)) {
+			this._add_output(id, {});
+			this.initVariables();
+			this.actions();
+			this.initFeedbacks();
+		}
 
-	/**
-	 * Insures that the channel is currently setup on the device
-	 * @param {String} id
-	 * @returns {Boolean}
-	 */
-	_is_valid_channel(id) {
-		if(id in this.channels && (this.channels[id].error?.message ?? false) === false) {
-			return true;
+		const output = this.outputs[id];
+		output.status = {...output.status, ...args};
+		if('time' in args) {
+			output.time = parseFloat(args.time);
+		}
+		if('active_channel_id' in args) {
+			output.channel = args.active_channel_id;
+			this.checkFeedbacks('active');
 		}
+		this._update_output_variables(id);
 
-		return false;
+		if('playing' in args) {
+			this._get_output_image(id);
+			this.checkFeedbacks('playing', 'stopped', 'previewpic');
+		}
 	}
 
 	/**
-	 * Adds an warning to the log if not currently connected
+	 * Update the variables of an output other than the first
+	 * @param {String} id ID of the output
+	 * @access private
+	 * @since 2.1.0
 	 */
-	_isConnected() {
-		if(this.socket === undefined) {
-			this.log('warn', 'Attempted to send command when not connected.');
-			return false;
-		}
+	_update_output_variables(id) {
+		const output = this.outputs[id];
+		const channel = this.channels[output.channel];
 
-		return true;
+		this.setVariableValues({
+			[this._output_variable_id(id, 'time')]: this._userFriendlyTime(output.time ?? 0),
+			[this._output_variable_id(id, 'duration')]: this._userFriendlyTime(channel?.duration ?? 0),
+			[this._output_variable_id(id, 'remaining')]: this._userFriendlyTime(channel && output.time !== null ? Math.max(0, channel.duration - output.time) : 0),
+			[this._output_variable_id(id, 'channel_name')]: channel?.name ?? '',
+			[this._output_variable_id(id, 'channel_id')]: output.channel ?? ''
+		});
 	}
 
 	/**
-	 * Load a channel to output
-	 * @param {String} id ID of channel to check
-	 * @param {String} init_time Initial time to load with
-	 * @access public
-	 * @since 1.0.0
+	 * Pull the preview image of an output other than the first, refreshing it while playing
+	 * @param {String} id ID of the output
+	 * @access private
+	 * @since 2.1.0
 	 */
-	load_channel(id, init_time, callback = null) {
-		if(!this._isConnected()) {
-			return false;
-		}
+	_get_output_image(id) {
+		const output = this.outputs[id];
 
-		if(!this._is_valid_channel(id)) {
-			this.log('warn', `Cannot load invalid channel ${id}`);
-			return false; // Do not attempt to load an invalid channel
+		if(!output) {
+			return;
 		}
+		clearTimeout(output.image_refresh);
+		output.image_refresh = null;
 
-		init_time = this._get_new_init_time(id, init_time);
-
-		this.log('info', 'Loading channel ' + id + ' at ' + init_time + '.');
-
-		this.socket.emit('sendAndCallback2', 'playback:loadChannel', id, init_time, false, -1, false, null, callback);
-		this.set_live_channel(id);
+		if(!this._isConnected() || !('read' in jimp) || !('image_primary' in output.status)) {
+			return;
+		}
 
-		return true;
+		jimp.read({
+			url: this._get_url('/' + output.status.image_primary),
+			...this.tls
+		})
+		.then(image => image.resize(72, 48).getBufferAsync(jimp.MIME_PNG))
+		.then(buff => {
+			output.image = buff.toString('base64');
+			this.checkFeedbacks('previewpic');
+		})
+		.catch(err => {
+			this.log('debug', `Error processing preview image of ${this._get_output_label(id)}: ${err.message}`);
+			output.image = null;
+		})
+		.finally(() => {
+			// The output may have gone with a reconnect
+			clearTimeout(output.image_refresh);
+			if(this.outputs[id] === output && (this.is_playing(id) || this.config.preview_refresh_paused)) {
+				output.image_refresh = setTimeout(() => this._get_output_image(id), this._get_config_number('preview_refresh', this.PREVIEW_REFRESH));
+			}
+		});
 	}
 
 	/**
-	 * Check if a channel is live
-	 * @param {String} id ID of channel to check
-	 * @access public
+	 * Updates that are received from the server relating to what's playing
+	 * @param {Object} args Raw arguments from the server
+	 * @access private
 	 * @since 1.0.0
 	 */
-	is_live(id) {
-		if(this._is_valid_channel(id)) {
-			// Cloud updates should be sent every 5 seconds or so
-			if('last_duration_change' in this.channels[id] && (new Date - this.channels[id].last_duration_change) <= 15000) {
-				return true;
-			}
+	_player_updates(args) {
+		if(!args) {
+			return;
 		}
 
-		return false;
+		const prev_time = this.cur_time;
+
+		this.player_status = {...this.player_status, ...args};
+		if('time' in args) {
+			this._set_cur_time(args.time);
+		}
+		if('active_channel_id' in args) {
+			this.log('debug', 'Setting active channel to ' + args.active_channel_id);
+			this.set_live_channel(args.active_channel_id);
+		}
+		if('time' in args) {
+			this._check_rundown();
+			this._check_loop(prev_time);
+			this._check_delay();
+			this._update_live_offset();
+			this._render_previews(true);
+		}
+		if('playing' in args) {
+			this.get_latest_image();
+			this.checkFeedbacks('playing', 'stopped', 'previewpic');
+		}
 	}
 
 	/**
-	 * Returns a friendly time in the 00:00:00 format
-	 * @param {Int} seconds
+	 * Set the current time, may have been received from the server
+	 * @param {String} time Time to set
+	 * @param {String} id ID of the channel the time is in, if not the current channel
 	 * @access private
 	 * @since 1.0.0
 	 */
-	_userFriendlyTime(seconds) {
-		return new Date(1000 * seconds)
-			.toISOString()
-			.substr(11, 8);
-	}
-
-	_toSeconds(formatted_time) {
-		if(formatted_time === '') return '';
-
-		const unparsed_time = String(formatted_time)
-			.split(':')
-			.reverse();
-		let time = parseInt(unparsed_time[0]);
+	_set_cur_time(time, id = this.cur_channel) {
+		this.cur_time = parseFloat(time);
 
-		switch(unparsed_time.length) {
-			case 3:
-				time += parseInt(unparsed_time[2]) * 3600;
-			case 2:
-				time += parseInt(unparsed_time[1]) * 60;
-		}
+		const start = this._get_recording_start(id);
+		this.setVariableValues({
+			time: this._userFriendlyTime(this.cur_time),
+			time_of_day: start ? this._timeOfDay(new Date(start.getTime() + this.cur_time * 1000)) : '',
+			recording_start: start ? this._timeOfDay(start) : ''
+		});
 
-		return time;
+		return this.cur_time;
 	}
 
 	/**
-	 * Get new start time based on new time, to insure we have a buffer and aren't trying to start at a negative time
-	 * @param {String} id ID of channel to check
-	 * @param {Float} init_time
-	 * @access private
+	 * Attempt a reconnect on connection lost/logout
+	 * @param {Boolean} retry_immediately Immediately try reconnecting, useful if the session may have ended
+	 * @access public
 	 * @since 1.0.0
 	 */
-	_get_new_init_time(id, init_time) {
-		if(init_time === '') {
-			// Check if stream is live, if it's live go to the end; otherwise go to the beginning
-			if(!this.is_live(id)) {
-				init_time = 0;
-			} else {
-				init_time = this.channels[id].duration;
-			}
+	_reconnect(error, retry_immediately = false) {
+		this.log('warn', `Connection to server ended. Will attempt to reconnect. Error ${error?.message}`);
+		this.updateStatus('disconnected', 'Disconnected and will attempt to reconnect...');
+		if(this.connection.state !== 'stale') {
+			this._set_connection_state('disconnected', error?.message);
+		} else {
+			this._set_connection_state('stale', error?.message);
 		}
 
-		// Always verify that we don't go to the very end of the video
-		if(init_time > (this.channels[id].duration - this.MIN_BUFFER_TIME)) {
-			init_time = this.channels[id].duration - this.MIN_BUFFER_TIME; // Give a little second buffer
-			if(init_time <= 0) init_time = 0;
-		}
+		this._endConnection();
 
-		return this._set_cur_time(init_time);
+		if(retry_immediately) {
+			this.connection.reconnects++;
+			this.login(true);
+		} else {
+			this.keep_login_retry(this._get_retry_timeout());
+		}
 	}
 
 	/**
-	 * Checks if a channel is currently active
-	 * @returns {Boolean}
-	 * @access public
-	 * @since 1.1.0
+	 * Returns the next reconnect timeout, using exponential backoff with jitter
+	 * @returns {Float} Timeout in seconds
+	 * @access private
+	 * @since 2.1.0
 	 */
-	is_currently_active() {
-		if(!this.cur_channel || !this.cur_time) {
-			return false; // No clip is currently playing
-		}
-		return true;
+	_get_retry_timeout() {
+		const min = Math.max(1, this._get_config_number('reconnect_min', this.RECONNECT_TIMEOUT));
+		const max = Math.max(min, this._get_config_number('reconnect_max', this.RECONNECT_MAX_TIMEOUT));
+		const timeout = Math.min(max, min * Math.pow(2, this.connection.attempt));
+		const jitter = 1 + (Math.random() * 2 - 1) * this.RECONNECT_JITTER;
+
+		this.connection.attempt++;
+		return Math.round(Math.min(max, timeout * jitter) * 10) / 10;
 	}
 
 	/**
-	 * Skip to different time for output
-	 * @param {CompanionActionEvent} event skip_time
+	 * Try login again after timeout
+	 * @param {Int} timeout Timeout to try reconnection
 	 * @access public
 	 * @since 1.0.0
 	 */
-	skip_live(event) {
-		if(!this.is_currently_active()) {
-			return false;
+	keep_login_retry(timeout) {
+		if(this.reconnecting) {
+			return;
 		}
 
-		const time = parseFloat(event.options.skip_time);
-		this.log('info', 'Skipping time by ' + time + '. From ' + this.cur_time + ' -> ' + (this.cur_time + time) + '.');
+		this.log('info', 'Attempting to reconnect in ' + timeout + ' seconds.');
+		this.connection.reconnects++;
+		this.reconnecting = setTimeout(this.login.bind(this, true), timeout * 1000);
+	}
 
-		this.load_channel(this.cur_channel, this.cur_time + time);
-		return true;
+	_stopOldLogin() {
+		if(this.reconnecting) {
+			clearTimeout(this.reconnecting);
+			this.reconnecting = null;
+		}
 	}
 
 	/**
-	 * Reboots the device and starts reconnect attempt
-	 * @access public
-	 * @since 1.0.0
+	 * Returns the URL of the device, or of the simulator if it's running
+	 * @param {String} path Path to add to the URL
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	async reboot() {
-		if(!this._isConnected()) {
-			return;
+	_get_url(path = '') {
+		if(this.simulator) {
+			return `http://127.0.0.1:${this.simulator.port}${path}`;
 		}
 
-		this.log('info', 'Ending connecting and rebooting...');
-		await got.put(`https://${this.config.host}/api/settings/reboot`, {
-			json: {
-				id: 0
-			},
-			headers: {
-				Cookie: 'sessionID=' + this.session_id
-			},
-			https: {
-				rejectUnauthorized: false,
-			},
-		}).then(d => {
-			this.updateStatus('disconnected', 'Rebooting...');
-			this._endConnection();
-			this.session_id = null;
-			this.keep_login_retry(this.REBOOT_WAIT_TIME);
-		}).catch(e => {
-			this.log('error', 'Could not reboot')
-		})
+		const port = parseInt(this.config.port);
+
+		return `https://${this.config.host}${port && port !== 443 ? ':' + port : ''}${path}`;
 	}
 
 	/**
-	 * Set a cuepoint
-	 * @param {CompanionActionEvent} event cuepoint_id
-	 * @access public
-	 * @since 1.1.0
+	 * Returns the TLS options for connections to the device, based on the trust mode in the config
+	 * @returns {Object|null} Node.js TLS options, or null if the config is invalid
+	 * @access private
+	 * @since 2.1.0
 	 */
-	set_cuepoint(event) {
-		const cuepoint_id = event.options.cuepoint_id;
+	_load_tls_options() {
+		switch(this.config.tls_mode) {
+			case 'ca':
+				try {
+					return {
+						rejectUnauthorized: true,
+						ca: this._read_ca(this.config.tls_ca ?? '')
+					};
+				} catch(e) {
+					this.log('error', 'Could not load CA certificate: ' + e.message);
+					this.updateStatus('bad_config', 'Could not load CA certificate');
+					return null;
+				}
+			case 'fingerprint':
+				if(PinnedAgent.normalize(this.config.tls_fingerprint).length !== 64) {
+					this.log('error', 'Certificate fingerprint must be a SHA-256 fingerprint.');
+					this.updateStatus('bad_config', 'Invalid certificate fingerprint');
+					return null;
+				}
 
-		if(!this.is_currently_active()) {
-			this.log('info', 'No active channel to save cuepoint.');
-			return false;
+				return {
+					rejectUnauthorized: false,
+					agent: new PinnedAgent(this.config.tls_fingerprint, { keepAlive: true })
+				};
+			default:
+				return {
+					rejectUnauthorized: false
+				};
 		}
-
-		this.log('info', 'Setting cuepoint for slot ' + cuepoint_id);
-		this.cuepoints[cuepoint_id] = {
-			channel: this.cur_channel,
-			time: this.cur_time,
-			image: this.image
-		};
-
-		this.checkFeedbacks('cuepoint');
 	}
 
 	/**
-	 * Recalls a saved cuepoint
-	 * @param {CompanionActionEvent} event cuepoint_id and play_state
-	 * @access public
-	 * @since 1.1.0
+	 * Returns a CA certificate, pasted as PEM or read from a file
+	 * @param {String} value PEM certificate or path to a PEM file
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	recall_cuepoint(event) {
-		const cuepoint_id = event.options.cuepoint_id;
-		const play_state = event.options.play_state;
+	_read_ca(value) {
+		value = value.trim();
 
-		if(!(cuepoint_id in this.cuepoints)) {
-			this.log('info', 'No cuepoint saved in slot ' + cuepoint_id);
-			return false;
+		if(value.startsWith('-----BEGIN')) {
+			// Line breaks may have been lost when pasting into a single line field
+			return value.replace(/-----(BEGIN|END) CERTIFICATE-----/g, '\n$&\n')
+				.split(/\n/)
+				.map(line => line.startsWith('-----') ? line : line.replace(/\s+/g, '\n'))
+				.join('\n')
+				.replace(/\n+/g, '\n')
+				.trim() + '\n';
 		}
 
-		this.log('info', 'Recalling cuepoint for slot ' + cuepoint_id);
-		const cuepoint = this.cuepoints[cuepoint_id];
-		// The reason we send a play_pause is because loads automatically start playing and we cannot stop that
-		this.load_channel(cuepoint.channel, cuepoint.time, play_state === 'pause' ? this.play_pause.bind(this) : null);
+		return fs.readFileSync(value, 'utf8');
 	}
 
 	/**
-	 * Plays the output video
-	 * @access public
-	 * @since 1.0.0
+	 * Returns the TLS options for got requests
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
 	 */
-	play() {
-		if(!this.is_playing() && this.cur_channel !== null) {
-			this.play_pause();
+	_get_got_tls_options() {
+		const tls = this.tls ?? {};
+		let options = {
+			https: {
+				rejectUnauthorized: tls.rejectUnauthorized ?? false
+			}
+		};
+
+		if(tls.ca) {
+			options.https.certificateAuthority = tls.ca;
+		}
+		if(tls.agent) {
+			options.agent = { https: tls.agent };
 		}
+		return options;
 	}
 
 	/**
-	 * Pauses the output video
-	 * @access public
-	 * @since 1.0.0
+	 * Starts or stops the simulated device to match the configuration
+	 * @access private
+	 * @since 2.1.0
 	 */
-	pause() {
-		if(this.is_playing() && this.cur_channel !== null) {
-			this.play_pause();
+	async _update_simulator() {
+		if(this.config.simulation && !this.simulator) {
+			// Imported only when enabled, as socket.io is an optional dependency used by the simulator alone
+			await import('./simulator.js')
+				.then(async ({ default: ConnectDvrSimulator }) => {
+					const simulator = new ConnectDvrSimulator(this.log.bind(this));
+					await simulator.start();
+					this.simulator = simulator;
+				})
+				.catch(e => {
+					this.log('error', 'Could not start simulator: ' + e.message);
+					this.updateStatus('unknown_error', 'Could not start simulator');
+				});
+		} else if(!this.config.simulation && this.simulator) {
+			await this.simulator.stop();
+			this.simulator = null;
 		}
 	}
 
-	is_playing() {
-		return 'playing' in this.player_status && this.player_status.playing;
-	}
-
 	/**
-	 * Initialize feedbacks
+	 * Login to the device
+	 * @param {Boolean} retry Set to true to continue retrying logins (only after a good first connection)
+	 * @access public
 	 * @since 1.0.0
 	 */
-	initFeedbacks() {
-		const channels = this._get_channel_choices(true);
+	async login(retry = false) {
+		this.updateStatus('connecting', 'Logging in');
+		this._set_connection_state('connecting');
 
-		const feedbacks = {
-			streaming: {
-				type: 'boolean',
-				name: 'Channel is Streaming',
-				description: 'Indicates this channel is currently live streaming.',
+		this._stopOldLogin();
+
+		const data = await got.post(this._get_url('/api/session'), {
+			json: {
+				username: this.config.username,
+				password: this.config.password
+			},
+			timeout: {
+				request: this.LOGIN_TIMEOUT
+			},
+			...this._get_got_tls_options(),
+		}).json()
+		.catch(e => {
+			this.log('debug', `Could not connect to ${this._get_url()}: ${e.message}`);
+			if(e.response?.statusCode === 401 || e.response?.statusCode === 403) {
+				this.log('error', 'Login refused, check the username and password.');
+				this.updateStatus('bad_config', 'Login refused, check the username and password');
+			} else {
+				this.updateStatus('connection_failure', e.message)
+			}
+			this._set_connection_state('failed', e.message);
+
+			if(retry) {
+				this.keep_login_retry(this._get_retry_timeout());
+			}
+		})
+
+		if(data) {
+			this.session_id = data.response.sessionID;
+			this.log('info', 'Successfully connected. Session ID is ' + this.session_id + '.');
+
+			await this._load_capabilities();
+			this.initSocket();
+			this._poll_status();
+			return true;
+		} else {
+			return false;
+		}
+	}
+
+	/**
+	 * Read the role of the logged in account and the firmware version of the device, and update the actions the role allows
+	 * Either may be unknown if the device does not report it, in which case no actions are disabled for it.
+	 * The role and version fields are not confirmed on a device, so they are only read with experimental features on.
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _load_capabilities() {
+		const get = (path) => got.get(this._get_url(path), {
+			headers: {
+				Cookie: 'sessionID=' + this.session_id
+			},
+			timeout: {
+				request: this.LOGIN_TIMEOUT
+			},
+			...this._get_got_tls_options(),
+		}).json()
+		.then(data => data?.response !== null && typeof data?.response === 'object' ? data.response : {})
+		.catch(e => {
+			this.log('debug', `Could not read ${path}: ${e.message}`);
+			return {};
+		});
+
+		const [session, about] = this.config.experimental ? await Promise.all([get('/api/session'), get('/api/settings/about')]) : [{}, {}];
+
+		this.capabilities = {
+			role: typeof session.role === 'string' ? session.role.toLowerCase() : null,
+			firmware: typeof about.version === 'string' ? about.version : null
+		};
+		this.log('info', `Logged in as ${this.capabilities.role ?? 'unknown role'}, firmware ${this.capabilities.firmware ?? 'unknown'}.`);
+
+		this.setVariableValues({
+			user_role: this.capabilities.role ?? '',
+			firmware_version: this.capabilities.firmware ?? ''
+		});
+		this.actions();
+	}
+
+	/**
+	 * Returns why the account cannot perform an action
+	 * @param {String} id ID of the action
+	 * @returns {String|null} Reason, null if it can be performed (or it is not known that it cannot)
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_unavailable_reason(id) {
+		const requirements = this.ACTION_REQUIREMENTS[id];
+		const role = this.capabilities.role;
+
+		if(!requirements) {
+			return null;
+		}
+		if(requirements.roles && role !== null && !requirements.roles.includes(role)) {
+			return `not permitted for the ${role} account`;
+		}
+
+		return null;
+	}
+
+	/**
+	 * Read the system status from the device and schedule the next poll, if polling and experimental features are enabled
+	 * If the device refuses the request, it is only logged the first time and polls back off until one succeeds.
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _poll_status() {
+		const interval = this._get_config_number('status_poll', 0);
+
+		this._stop_status_poll();
+		if(interval <= 0 || !this.session_id || !this.config.experimental) {
+			return;
+		}
+
+		const session_id = this.session_id;
+		const data = await got.get(this._get_url('/api/settings/status'), {
+			headers: {
+				Cookie: 'sessionID=' + session_id
+			},
+			timeout: {
+				request: this.LOGIN_TIMEOUT
+			},
+			...this._get_got_tls_options(),
+		}).json()
+		.catch(e => {
+			// The endpoint is not documented, so a refusal does not say anything about the session
+			const refused = {
+				401: 'The device did not accept the session for the system status',
+				403: 'The account is not permitted to read the system status',
+				404: 'The device does not provide the system status'
+			}[e.response?.statusCode];
+
+			if(refused) {
+				if(this._status_poll_refusals === 0) {
+					this.log('warn', refused + ', polling it less often.');
+				}
+				return false;
+			}
+
+			this.log('debug', 'Could not read system status: ' + e.message);
+			return null;
+		});
+
+		// Logged out while waiting
+		if(session_id !== this.session_id) {
+			return;
+		}
+		if(data) {
+			this._status_poll_refusals = 0;
+
+			// The status endpoint is not documented, so only use the fields that are there and make sense
+			const first = this.system_status === null;
+			this.system_status = data.response !== null && typeof data.response === 'object' ? data.response : {};
+			if(first && this._get_storage() === null) {
+				this.log('warn', 'The system status from the device has no storage information, the storage variables and feedbacks will stay empty.');
+			}
+			if(typeof this.system_status.version === 'string') {
+				this.capabilities.firmware = this.system_status.version;
+			}
+			this._update_status_variables();
+			this.checkFeedbacks('disk_usage', 'disk_free');
+		}
+		let timeout = interval;
+		if(data === false) {
+			this._status_poll_refusals++;
+			timeout = Math.min(interval * 2 ** this._status_poll_refusals, Math.max(interval, this.STATUS_POLL_MAX_TIMEOUT));
+		}
+		this._status_poll = setTimeout(this._poll_status.bind(this), timeout * 1000);
+	}
+
+	_stop_status_poll() {
+		if(this._status_poll) {
+			clearTimeout(this._status_poll);
+			this._status_poll = null;
+		}
+	}
+
+	/**
+	 * Returns the storage of the device in bytes, if known
+	 * @returns {Object|null} used, free and total
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_storage() {
+		const storage = this.system_status?.storage;
+		const used = parseFloat(storage?.used);
+		const total = parseFloat(storage?.total);
+		const free = parseFloat(storage?.free);
+
+		if(isNaN(used) || isNaN(total) || used < 0 || total <= 0 || used > total) {
+			return null;
+		}
+
+		return {
+			used: used,
+			total: total,
+			free: isNaN(free) || free < 0 ? total - used : free
+		};
+	}
+
+	/**
+	 * Update the system status variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_status_variables() {
+		const storage = this._get_storage();
+		const uptime = parseFloat(this.system_status?.uptime);
+		const network = this.system_status?.network;
+		const text = (value) => typeof value === 'string' ? value : '';
+		const gb = (bytes) => (bytes / 1e9).toFixed(1);
+
+		this.setVariableValues({
+			disk_used: storage ? gb(storage.used) : '',
+			disk_free: storage ? gb(storage.free) : '',
+			disk_used_percent: storage ? Math.round(100 * storage.used / storage.total) : '',
+			uptime: isNaN(uptime) || uptime < 0 ? '' : Math.floor(uptime / 86400) + 'd ' + this._userFriendlyTime(uptime % 86400),
+			device_hostname: text(network?.hostname),
+			device_ip: text(network?.ip_address),
+			firmware_version: this.capabilities.firmware ?? ''
+		});
+	}
+
+	/**
+	 * Initialize the device data received from server
+	 * @param {Object} data Data received from server
+	 * @access public
+	 * @since 1.0.0
+	 */
+	device_init(data) {
+		this.channels = {};
+		this.player_status = data.player;
+		if('active_channel_id' in data.player) {
+			this.set_live_channel(data.player['active_channel_id']);
+		}
+		if('time' in data.player) {
+			this._set_cur_time(data.player['time'])
+		}
+		data.channel.forEach((id) => {
+			this.channels[id] = data[id];
+		});
+		this._init_outputs(data);
+		this._channels_loaded_at = new Date();
+		this._check_channels_health();
+		this._channels_changed();
+
+		for(const id in this.outputs) {
+			this._get_output_image(id);
+		}
+		this.get_latest_image();
+	}
+
+	/**
+	 * Updates the channel list when channels are added to or removed from the device
+	 * The channel list is assumed to be sent like in data:init, as model:delta('channel', ids); this is not confirmed on a device yet, so it is only used with experimental features on.
+	 * @param {Array} ids IDs of every channel on the device
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_channel_list_updates(ids) {
+		let changed = false;
+
+		for(const id in this.channels) {
+			if(!ids.includes(id)) {
+				this.log('info', `Channel ${this.channels[id].name ?? id} was removed from the device.`);
+				delete this.channels[id];
+				changed = true;
+			}
+		}
+		for(const id of ids) {
+			if(!(id in this.channels)) {
+				// The rest of the channel follows in its own update
+				this.channels[id] = { id: id };
+				changed = true;
+			}
+		}
+
+		if(changed) {
+			this._channels_changed();
+		}
+	}
+
+	/**
+	 * Refreshes everything built from the channel list, after channels were loaded, added, removed or renamed
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_channels_changed() {
+		for(const id in this.channel_health) {
+			if(!(id in this.channels)) {
+				delete this.channel_health[id];
+			}
+		}
+		if(this.selected_channel !== null && !(this.selected_channel in this.channels)) {
+			this.select_channel(null);
+		}
+		this._missing_channel_warnings.clear();
+		this._validate_cuepoints();
+
+		this.initVariables();
+		for(const id in this.channels) {
+			this._update_channel_variables(id);
+		}
+		for(const id in this.outputs) {
+			this._update_output_variables(id);
+		}
+
+		this.actions();
+		this.initFeedbacks();
+		this.initPresets();
+
+		// Redefining feedbacks does not check them again, and feedbacks naming a channel change if it was renamed or removed
+		this.checkFeedbacks('active', 'selected', 'streaming');
+	}
+
+	/**
+	 * Sets a current channel as live
+	 * @param {String} id ID of channel to set as live
+	 * @access public
+	 * @since 1.0.0
+	 */
+	set_live_channel(id) {
+		this.cur_channel = id;
+		this.setVariableValues({
+			channel_name: this.channels[id]?.name ?? '',
+			channel_id: id ?? ''
+		});
+		this.checkFeedbacks('active');
+	}
+
+	/**
+	 * Select the channel to load on Take
+	 * @param {String|null} id ID of channel, null to clear the selection
+	 * @access public
+	 * @since 2.1.0
+	 */
+	select_channel(id) {
+		if(id !== null && !(id in this.channels)) {
+			this.log('warn', `Channel ${id} is not on the device, not selecting it.`);
+			return;
+		}
+
+		this.selected_channel = id;
+		this.setVariableValues({
+			selected_channel: this.channels[id]?.name ?? '',
+			selected_channel_id: id ?? ''
+		});
+		this.checkFeedbacks('selected');
+	}
+
+	/**
+	 * Select the next or previous channel, in the order of the device
+	 * @param {Number} step 1 for next, -1 for previous
+	 * @access public
+	 * @since 2.1.0
+	 */
+	select_step(step) {
+		const ids = Object.keys(this.channels);
+
+		if(ids.length === 0) {
+			return;
+		}
+
+		// Without a selection, start browsing from the active channel
+		const index = ids.indexOf(this.selected_channel ?? this.cur_channel);
+		if(index === -1) {
+			this.select_channel(step > 0 ? ids[0] : ids[ids.length - 1]);
+		} else {
+			this.select_channel(ids[(index + step + ids.length) % ids.length]);
+		}
+	}
+
+	/**
+	 * Load the selected channel to output
+	 * @param {String} init_time Start time expression, see _resolve_time()
+	 * @param {String} output ID of the output
+	 * @access public
+	 * @since 2.1.0
+	 */
+	take(init_time, output = 'player') {
+		if(this.selected_channel === null) {
+			this.log('warn', 'No channel selected to take.');
+			return;
+		}
+
+		const time = this._resolve_time(init_time, this.selected_channel, this._get_output(output)?.time ?? null);
+		if(isNaN(time)) {
+			this.log('error', `Invalid start time "${init_time}".`);
+		} else {
+			this.jump(this.selected_channel, time, null, output);
+		}
+	}
+
+	/**
+	 * Configuration fields that can be used
+	 * @returns {Array}
+	 * @access public
+	 * @since 1.0.0
+	 */
+	getConfigFields() {
+		return [
+			{
+				type: 'static-text',
+				id: 'info',
+				width: 12,
+				label: 'Information',
+				value: 'This will connect with Haivision Connect DVR. If you are using the operator account you will not be able to use the reboot functionality.'
+			},
+			{
+				type: 'checkbox',
+				id: 'simulation',
+				label: 'Simulation',
+				tooltip: 'Connect to a built-in simulated Connect DVR instead of the target device, for training and building button pages without hardware.',
+				width: 12,
+				default: false,
+			},
+			{
+				type: 'textinput',
+				id: 'host',
+				label: 'Target IP or hostname',
+				width: 8,
+				regex: Regex.HOSTNAME,
+				useVariables: true,
+			},
+			{
+				type: 'textinput',
+				id: 'port',
+				label: 'Port',
+				width: 4,
+				default: '443',
+				regex: Regex.PORT,
+			},
+			{
+				type: 'textinput',
+				id: 'username',
+				label: 'Username',
+				value: 'haioperator',
+				width: 6,
+				useVariables: true,
+			},
+			{
+				type: 'textinput',
+				id: 'password',
+				label: 'Password',
+				width: 6,
+				useVariables: true,
+			},
+			{
+				type: 'dropdown',
+				id: 'tls_mode',
+				label: 'Certificate verification',
+				width: 12,
+				default: 'insecure',
+				choices: [
+					{ id: 'insecure', label: 'Do not verify (device default self-signed certificate)' },
+					{ id: 'ca', label: 'Verify with a trusted CA certificate' },
+					{ id: 'fingerprint', label: 'Pin the device certificate fingerprint' }
+				]
+			},
+			{
+				type: 'textinput',
+				id: 'tls_ca',
+				label: 'CA certificate (PEM text or path to a PEM file)',
+				width: 12,
+				isVisible: (options) => options.tls_mode === 'ca',
+			},
+			{
+				type: 'textinput',
+				id: 'tls_fingerprint',
+				label: 'Device certificate SHA-256 fingerprint',
+				tooltip: 'For example AB:CD:...; shown in the certificate details of a browser.',
+				width: 12,
+				isVisible: (options) => options.tls_mode === 'fingerprint',
+			},
+			{
+				type: 'number',
+				id: 'reconnect_min',
+				label: 'Reconnect delay (seconds)',
+				tooltip: 'Delay before the first reconnect attempt. Doubled after each failed attempt.',
+				width: 4,
+				min: 1,
+				max: 3600,
+				default: 10,
+			},
+			{
+				type: 'number',
+				id: 'reconnect_max',
+				label: 'Maximum reconnect delay (seconds)',
+				width: 4,
+				min: 1,
+				max: 3600,
+				default: 300,
+			},
+			{
+				type: 'number',
+				id: 'watchdog_timeout',
+				label: 'Stale connection timeout (seconds)',
+				tooltip: 'Reconnect if the device sends no updates for this long. The device normally sends updates every 5 seconds. Use 0 to disable.',
+				width: 4,
+				min: 0,
+				max: 3600,
+				default: 20,
+			},
+			{
+				type: 'number',
+				id: 'channel_refresh',
+				label: 'Channel list refresh interval (minutes)',
+				tooltip: 'Reconnect to the device this often to pick up channels added to or removed from the device. Playback is not affected. Use 0 to disable.',
+				width: 4,
+				min: 0,
+				max: 1440,
+				default: 10,
+			},
+			{
+				type: 'number',
+				id: 'status_poll',
+				label: 'System status poll interval (seconds)',
+				tooltip: 'Read storage, uptime, firmware and network information from the device this often, if experimental features are on. Use 0 to disable.',
+				width: 4,
+				min: 0,
+				max: 3600,
+				default: 0,
+			},
+			{
+				type: 'number',
+				id: 'preview_refresh',
+				label: 'Preview refresh rate (milliseconds)',
+				width: 6,
+				min: 250,
+				max: 60000,
+				default: 1500,
+			},
+			{
+				type: 'checkbox',
+				id: 'preview_refresh_paused',
+				label: 'Refresh preview while paused',
+				width: 6,
+				default: false,
+			},
+			{
+				type: 'textinput',
+				id: 'cuepoint_count',
+				label: 'Number of cue point slots',
+				width: 6,
+				regex: Regex.NUMBER,
+				default: '5',
+			},
+			{
+				type: 'number',
+				id: 'confirm_timeout',
+				label: 'Confirm time for actions that need pressing twice (seconds)',
+				width: 6,
+				min: 1,
+				max: 60,
+				default: 3,
+			},
+			{
+				type: 'checkbox',
+				id: 'experimental',
+				label: 'Use unconfirmed device features (experimental)',
+				tooltip: 'Uses device data and endpoints that have not been confirmed on a Connect DVR, listed in the help. They may do nothing on a real device.',
+				width: 12,
+				default: false,
+			}
+		]
+	}
+
+	/**
+	 * Returns the choices for channels to use for dropdowns
+	 * @returns {Array}
+	 * @access private
+	 * @since 1.0.0
+	 */
+	_get_channel_choices(blank = false) {
+		var ret = [];
+
+		if(blank) {
+			ret.push({
+				id: '',
+				label: ''
+			});
+		}
+
+		for(var id in this.channels) {
+			ret.push({
+				id: this.channels[id].id,
+				label: this.channels[id].name ?? id
+			});
+		}
+		return ret;
+	}
+
+	/**
+	 * Returns the options to pick a channel from the list, or by name, ID or variable
+	 * @param {String} label Label of the channel list
+	 * @returns {Array}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_channel_options(label = 'Channel ID') {
+		return [
+			{
+				type: 'dropdown',
+				label: 'Channel from',
+				id: 'channel_by',
+				default: 'list',
+				choices: [
+					{ id: 'list', label: 'List' },
+					{ id: 'text', label: 'Name, ID or variable' }
+				],
+				tooltip: 'A channel given by name still works after the device is re-provisioned and the channel IDs change.'
+			},
+			{
+				type: 'dropdown',
+				label: label,
+				id: 'channel',
+				default: '',
+				choices: this._get_channel_choices(true),
+				isVisible: (options) => options.channel_by !== 'text'
+			},
+			{
+				type: 'textinput',
+				label: 'Channel name, ID or variable',
+				id: 'channel_text',
+				default: '',
+				tooltip: 'In feedbacks, variables are parsed again every second for as long as the button is in use. Prefer picking from the list on large pages.',
+				useVariables: true,
+				isVisible: (options) => options.channel_by === 'text'
+			}
+		];
+	}
+
+	/**
+	 * Returns the option to confirm an action by pressing it twice
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_confirm_option() {
+		return {
+			type: 'checkbox',
+			label: 'Confirm (press twice)',
+			id: 'confirm',
+			default: false,
+			tooltip: 'The first press arms the action, pressing again within the confirm time set in the module configuration executes it.'
+		};
+	}
+
+	/**
+	 * Returns the ID of a channel given by ID or name (not case sensitive)
+	 * @param {String} reference ID or name of the channel
+	 * @returns {String|null} null if the channel is not on the device
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_find_channel(reference) {
+		if(reference in this.channels) {
+			return reference;
+		}
+
+		const name = String(reference).trim().toLowerCase();
+		for(const id in this.channels) {
+			if(String(this.channels[id].name ?? '').trim().toLowerCase() === name) {
+				return id;
+			}
+		}
+		return null;
+	}
+
+	/**
+	 * Returns the channel picked in the options of an action
+	 * @param {Object} options Options of the action
+	 * @param {Boolean} blank If the action allows no channel, to use the current channel or clear a selection
+	 * @returns {Promise<String|null>} Empty if no channel is set and that is allowed, null if no channel is set otherwise or the channel is not on the device
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _get_action_channel(options, blank = false) {
+		const reference = options.channel_by === 'text' ? (await this.parseVariablesInString(options.channel_text ?? '')).trim() : (options.channel ?? '');
+
+		if(reference === '') {
+			if(!blank) {
+				this.log('warn', 'No channel is set.');
+			}
+			return blank ? '' : null;
+		}
+
+		const id = this._find_channel(reference);
+		if(id === null) {
+			this.log('warn', `Channel ${reference} is not on the device. If the device was re-provisioned, pick the channel again or give it by name.`);
+		}
+		return id;
+	}
+
+	/**
+	 * Returns the channel picked in the options of a feedback, warning once about each missing channel
+	 * Variables in the channel field are parsed in the background, so the feedback follows them within a second.
+	 * @param {Object} feedback Feedback with its ID and options
+	 * @returns {String|null} null if no channel is set or the channel is not on the device
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_feedback_channel(feedback) {
+		const options = feedback.options;
+		let reference = options.channel ?? '';
+
+		if(options.channel_by === 'text') {
+			const text = String(options.channel_text ?? '');
+
+			if(text.includes('$(')) {
+				const parsed = this._feedback_channel_references.get(feedback.id);
+
+				if(parsed?.text !== text) {
+					this._feedback_channel_references.set(feedback.id, { text: text, reference: '' });
+					this._parse_feedback_channel(feedback.id);
+					this._start_feedback_variables_refresh();
+					return null; // Checked again once parsed
+				}
+				reference = parsed.reference;
+			} else {
+				this._feedback_channel_references.delete(feedback.id);
+				reference = text.trim();
+			}
+		}
+
+		if(reference === '') {
+			return null;
+		}
+
+		const id = this._find_channel(reference);
+		// Nothing to match against until the channels are loaded
+		if(id === null && this._channels_loaded_at !== null && !this._missing_channel_warnings.has(reference)) {
+			this._missing_channel_warnings.add(reference);
+			this.log('warn', `A feedback uses channel ${reference}, which is not on the device. If the device was re-provisioned, pick the channel again or give it by name.`);
+		}
+		return id;
+	}
+
+	/**
+	 * Parse the variables in the channel field of a feedback, checking it again if the channel changed
+	 * @param {String} feedback_id
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _parse_feedback_channel(feedback_id) {
+		const text = this._feedback_channel_references.get(feedback_id)?.text;
+		if(text === undefined) {
+			return;
+		}
+
+		const reference = (await this.parseVariablesInString(text)).trim();
+		const parsed = this._feedback_channel_references.get(feedback_id);
+
+		// The feedback may have gone or changed while parsing
+		if(parsed?.text === text && parsed.reference !== reference) {
+			parsed.reference = reference;
+			this.checkFeedbacksById(feedback_id);
+		}
+	}
+
+	/**
+	 * Start parsing the variables in feedback channel fields periodically, if not already running
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_start_feedback_variables_refresh() {
+		if(this._feedback_variables_refresh === null) {
+			this._feedback_variables_refresh = setTimeout(this._refresh_feedback_variables.bind(this), this.FEEDBACK_VARIABLES_REFRESH);
+		}
+	}
+
+	/**
+	 * Stop parsing the variables in feedback channel fields
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_stop_feedback_variables_refresh() {
+		if(this._feedback_variables_refresh !== null) {
+			clearTimeout(this._feedback_variables_refresh);
+			this._feedback_variables_refresh = null;
+		}
+	}
+
+	/**
+	 * Parse the variables in the channel fields of the feedbacks in use again, then schedule the next refresh
+	 * Stops once no feedbacks use variables in their channel field.
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _refresh_feedback_variables() {
+		await Promise.all([...this._feedback_channel_references.keys()].map(id => this._parse_feedback_channel(id)));
+
+		this._feedback_variables_refresh = null;
+		if(this._feedback_channel_references.size > 0) {
+			this._start_feedback_variables_refresh();
+		}
+	}
+
+	/**
+	 * Setup the actions
+	 * @param {Object} system
+	 * @access public
+	 * @since 1.0.0
+	 */
+	actions() {
+		const outputs = this._get_output_choices();
+		const actions = {
+			playpause: {
+				name: 'Play/Pause Toggle',
+				options: [],
+				callback: (event) => this.play_pause(event.options.output ?? 'player')
+			},
+			channel: {
+				name: 'Load Channel',
+				options: [
+					...this._get_channel_options(),
+					{
+						type: 'textinput',
+						label: 'Start time in seconds or HH:MM:SS format (empty for end, if live, or start if not live)',
+						id: 'initial_time',
+						default: '',
+						tooltip: 'Also accepts +30 or -1:00 (relative to the current time), live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					},
+					this._get_confirm_option()
+				],
+				callback: async (event) => {
+					const id = await this._get_action_channel(event.options);
+					if(id === null) {
+						return;
+					}
+					if(event.options.confirm && !this._confirm('channel', id, 'load ' + (this.channels[id]?.name ?? id))) {
+						return;
+					}
+
+					const output = event.options.output ?? 'player';
+					const init_time = await this.parseVariablesInString(event.options.initial_time);
+					const time = this._resolve_time(init_time, id, this._get_output(output)?.time ?? null);
+
+					if(isNaN(time)) {
+						this.log('error', `Invalid start time "${init_time}".`);
+					} else {
+						this.jump(id, time, null, output);
+					}
+				}
+			},
+			select_channel: {
+				name: 'Select Channel',
+				description: 'Selects the channel to load on Take, without changing the output.',
+				options: this._get_channel_options(),
+				callback: async (event) => {
+					const id = await this._get_action_channel(event.options, true);
+
+					if(id !== null) {
+						this.select_channel(id !== '' ? id : null);
+					}
+				}
+			},
+			select_next: {
+				name: 'Select Next Channel',
+				options: [],
+				callback: () => this.select_step(1)
+			},
+			select_previous: {
+				name: 'Select Previous Channel',
+				options: [],
+				callback: () => this.select_step(-1)
+			},
+			take: {
+				name: 'Take Selected Channel',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Start time in seconds or HH:MM:SS format (empty for end, if live, or start if not live)',
+						id: 'initial_time',
+						default: '',
+						tooltip: 'Also accepts live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => this.take(await this.parseVariablesInString(event.options.initial_time), event.options.output ?? 'player')
+			},
+			reboot: {
+				name: 'Reboot Device',
+				options: [
+					this._get_confirm_option()
+				],
+				callback: (event) => {
+					if(event.options.confirm && !this._confirm('reboot', '', 'reboot the device')) {
+						return;
+					}
+
+					this.reboot();
+				}
+			},
+			play: {
+				name: 'Play',
+				options: [],
+				callback: (event) => this.play(event.options.output ?? 'player')
+			},
+			pause: {
+				name: 'Pause',
+				options: [],
+				callback: (event) => this.pause(event.options.output ?? 'player')
+			},
+			skip: {
+				name: 'Skip backward or forward',
+				description: 'Time, in seconds, to skip backward or forward. Use negative numbers to skip backwards.',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Skip Time',
+						id: 'skip_time',
+						default: 5,
+						regex: Regex.SIGNED_NUMBER
+					}
+				],
+				callback: this.skip_live.bind(this)
+			},
+			jog: {
+				name: 'Jog (Rotary Encoder)',
+				description: 'Use on rotate left and rotate right. Turning faster takes bigger steps, and the output goes to the new time once the dial stops turning.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Direction',
+						id: 'direction',
+						default: 1,
+						choices: [
+							{ id: -1, label: 'Backward' },
+							{ id: 1, label: 'Forward' }
+						]
+					},
+					{
+						type: 'textinput',
+						label: 'Fine step in seconds',
+						id: 'fine_step',
+						default: '1',
+						regex: Regex.NUMBER
+					},
+					{
+						type: 'textinput',
+						label: 'Coarse step in seconds',
+						id: 'coarse_step',
+						default: '30',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: this.jog_step.bind(this)
+			},
+			jog_mode: {
+				name: 'Jog Mode (Fine/Coarse)',
+				description: 'Use on pressing the dial to switch between fine and coarse jog steps.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Mode',
+						id: 'mode',
+						default: 'toggle',
+						choices: [
+							{ id: 'toggle', label: 'Toggle' },
+							{ id: 'fine', label: 'Fine' },
+							{ id: 'coarse', label: 'Coarse' }
+						]
+					}
+				],
+				callback: (event) => this.set_jog_mode(event.options.mode === 'toggle' ? !this.jog.coarse : event.options.mode === 'coarse')
+			},
+			goto: {
+				name: 'Go to time in current channel',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Time',
+						id: 'time',
+						default: '',
+						tooltip: 'Time to go to in seconds or HH:MM:SS format. Also accepts +30 or -1:00 (relative to the current time), live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => {
+					const output = this._get_output(event.options.output ?? 'player');
+
+					if((output?.channel ?? null) === null) {
+						this.log('warn', 'Cannot go to time when channel not loaded.');
+					} else {
+						const expression = await this.parseVariablesInString(event.options.time);
+						const time = this._resolve_time(expression, output.channel, output.time);
+
+						if(isNaN(time)) {
+							this.log('error', `Invalid time "${expression}".`);
+						} else {
+							this.jump(output.channel, time, null, output.id);
+						}
+					}
+				}
+			},
+			set_cuepoint: {
+				name: 'Set Cue Point',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Slot Number',
+						id: 'cuepoint_id',
+						default: 1,
+						tooltip: 'Select a slot to store the current elapsed time and channel as a cuepoint for later recall. Set points are saved with the module configuration and survive restarts; their preview image does not.',
+						choices: this._get_allowed_cuepoints()
+					},
+					{
+						type: 'textinput',
+						label: 'Label',
+						id: 'label',
+						default: '',
+						tooltip: 'Optional label for the slot. Leave empty to keep the current label.',
+						useVariables: true,
+					}
+				],
+				callback: this.set_cuepoint.bind(this)
+			},
+			recall_cuepoint: {
+				name: 'Recall Cue Point',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Slot Number',
+						id: 'cuepoint_id',
+						default: 1,
+						tooltip: 'Select a slot to recall. If there is not a cuepoint saved, nothing will happen. Use feedbacks to change colors if a cuepoint is set for a slot.',
+						choices: this._get_allowed_cuepoints()
+					},
+					{
+						type: 'dropdown',
+						label: 'Play State',
+						id: 'play_state',
+						default: 'pause',
+						tooltip: 'Should the clip start in a playing or paused state.',
+						choices: [
+							{ id: 'play', label: 'Playing' },
+							{ id: 'pause', label: 'Paused' }
+						]
+					},
+					this._get_confirm_option()
+				],
+				callback: (event) => {
+					if(event.options.confirm && !this._confirm('recall_cuepoint', String(event.options.cuepoint_id), 'recall cuepoint slot ' + event.options.cuepoint_id)) {
+						return;
+					}
+
+					this.recall_cuepoint(event);
+				}
+			},
+			label_cuepoint: {
+				name: 'Set Cue Point Label',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Slot Number',
+						id: 'cuepoint_id',
+						default: 1,
+						choices: this._get_allowed_cuepoints()
+					},
+					{
+						type: 'textinput',
+						label: 'Label',
+						id: 'label',
+						default: '',
+						useVariables: true,
+					}
+				],
+				callback: this.label_cuepoint.bind(this)
+			},
+			clear_cuepoint: {
+				name: 'Clear Cue Point',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Slot Number',
+						id: 'cuepoint_id',
+						default: 1,
+						choices: this._get_allowed_cuepoints()
+					}
+				],
+				callback: this.clear_cuepoint.bind(this)
+			},
+			clear_all_cuepoints: {
+				name: 'Clear All Cue Points',
+				options: [],
+				callback: this.clear_all_cuepoints.bind(this)
+			},
+			nudge_cuepoint: {
+				name: 'Nudge Cue Point',
+				description: 'Time, in seconds, to move a saved cue point. Use negative numbers to move it earlier.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Slot Number',
+						id: 'cuepoint_id',
+						default: 1,
+						choices: this._get_allowed_cuepoints()
+					},
+					{
+						type: 'textinput',
+						label: 'Nudge Time',
+						id: 'nudge_time',
+						default: '1',
+						regex: Regex.SIGNED_NUMBER
+					}
+				],
+				callback: this.nudge_cuepoint.bind(this)
+			},
+			copy_cuepoint: {
+				name: 'Copy Cue Point',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'From Slot',
+						id: 'from_id',
+						default: 1,
+						choices: this._get_allowed_cuepoints()
+					},
+					{
+						type: 'dropdown',
+						label: 'To Slot',
+						id: 'to_id',
+						default: 2,
+						choices: this._get_allowed_cuepoints()
+					}
+				],
+				callback: this.copy_cuepoint.bind(this)
+			},
+			set_in: {
+				name: 'Loop: Set In Point',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Time in seconds or HH:MM:SS format (empty for current time)',
+						id: 'time',
+						default: '',
+						tooltip: 'Also accepts +30 or -1:00 (relative to the current time), live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => this.set_loop_point('in', await this.parseVariablesInString(event.options.time))
+			},
+			set_out: {
+				name: 'Loop: Set Out Point',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Time in seconds or HH:MM:SS format (empty for current time)',
+						id: 'time',
+						default: '',
+						tooltip: 'Also accepts +30 or -1:00 (relative to the current time), live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => this.set_loop_point('out', await this.parseVariablesInString(event.options.time))
+			},
+			clear_loop: {
+				name: 'Loop: Clear In/Out Points',
+				options: [],
+				callback: this.clear_loop.bind(this)
+			},
+			loop: {
+				name: 'Loop: Loop A-B',
+				description: 'When on, the in point is reloaded when the out point is reached.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Loop',
+						id: 'state',
+						default: 'toggle',
+						choices: [
+							{ id: 'on', label: 'On' },
+							{ id: 'off', label: 'Off' },
+							{ id: 'toggle', label: 'Toggle' }
+						]
+					}
+				],
+				callback: (event) => {
+					this.loop.enabled = event.options.state === 'toggle' ? !this.loop.enabled : event.options.state === 'on';
+					this.log('info', 'Loop ' + (this.loop.enabled ? 'on' : 'off') + '.');
+					this.checkFeedbacks('loop');
+				}
+			},
+			pause_at_out: {
+				name: 'Loop: Pause at Out Point',
+				description: 'When on, the output is paused when the out point is reached. Looping takes priority.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Pause at Out Point',
+						id: 'state',
+						default: 'toggle',
+						choices: [
+							{ id: 'on', label: 'On' },
+							{ id: 'off', label: 'Off' },
+							{ id: 'toggle', label: 'Toggle' }
+						]
+					}
+				],
+				callback: (event) => {
+					this.loop.pause_at_out = event.options.state === 'toggle' ? !this.loop.pause_at_out : event.options.state === 'on';
+					this.log('info', 'Pause at out point ' + (this.loop.pause_at_out ? 'on' : 'off') + '.');
+					this.checkFeedbacks('pause_at_out');
+				}
+			},
+			delay_start: {
+				name: 'Tape Delay: Start Delayed Playback',
+				description: 'Plays a channel a fixed time behind live, correcting any drift.',
+				options: [
+					...this._get_channel_options(),
+					{
+						type: 'textinput',
+						label: 'Delay behind live in seconds or HH:MM:SS format',
+						id: 'delay',
+						default: '3600',
+						useVariables: true,
+					},
+					{
+						type: 'textinput',
+						label: 'Tolerance in seconds',
+						id: 'tolerance',
+						default: '10',
+						tooltip: 'Drift beyond this is corrected by reloading the channel.',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: async (event) => {
+					const id = await this._get_action_channel(event.options);
+					const delay = this._toSeconds(await this.parseVariablesInString(event.options.delay));
+
+					if(id !== null) {
+						this.delay_start(id, delay, parseFloat(event.options.tolerance));
+					}
+				}
+			},
+			delay_stop: {
+				name: 'Tape Delay: Stop',
+				description: 'Stops correcting drift. Playback continues.',
+				options: [],
+				callback: this.delay_stop.bind(this)
+			},
+			goto_time_of_day: {
+				name: 'Go to time of day in channel',
+				description: 'Goes to the point in the recording made at a wall-clock time. The recording start time is taken from the device, or estimated while the channel is live.',
+				options: [
+					...this._get_channel_options('Channel ID (empty for current channel)'),
+					{
+						type: 'textinput',
+						label: 'Time of day in HH:MM:SS format',
+						id: 'time',
+						default: '',
+						tooltip: 'Also accepts +30 or -1:00, relative to the time of day of the playhead.',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => {
+					const output = event.options.output ?? 'player';
+					const id = await this._get_action_channel(event.options, true);
+					const time = await this.parseVariablesInString(event.options.time);
+
+					if(id !== null) {
+						this.goto_time_of_day(id || (this._get_output(output)?.channel ?? null), time, output);
+					}
+				}
+			},
+			history_back: {
+				name: 'Back (Undo Last Jump)',
+				options: [],
+				callback: () => this.history_step('back')
+			},
+			history_forward: {
+				name: 'Forward (Redo Jump)',
+				options: [],
+				callback: () => this.history_step('forward')
+			},
+			rundown_add: {
+				name: 'Rundown: Add Item',
+				options: [
+					...this._get_channel_options(),
+					{
+						type: 'textinput',
+						label: 'In point in seconds or HH:MM:SS format',
+						id: 'in',
+						default: '0',
+						tooltip: 'Also accepts +30 or -1:00 (relative to the current time, if the channel is playing), live-90 (relative to the live edge), end-5:00 (relative to the end) and 50% (of the duration).',
+						useVariables: true,
+					},
+					{
+						type: 'textinput',
+						label: 'Out point in seconds or HH:MM:SS format (empty to play until the next item is started)',
+						id: 'out',
+						default: '',
+						tooltip: 'Accepts the same expressions as the in point.',
+						useVariables: true,
+					},
+					{
+						type: 'textinput',
+						label: 'Label',
+						id: 'label',
+						default: '',
+						useVariables: true,
+					}
+				],
+				callback: this.rundown_add.bind(this)
+			},
+			rundown_remove: {
+				name: 'Rundown: Remove Item',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Item Number',
+						id: 'item',
+						default: '1',
+						useVariables: true,
+					}
+				],
+				callback: this.rundown_remove.bind(this)
+			},
+			rundown_clear: {
+				name: 'Rundown: Clear',
+				options: [],
+				callback: this.rundown_clear.bind(this)
+			},
+			rundown_next: {
+				name: 'Rundown: Next Item',
+				options: [],
+				callback: () => this.rundown_play(this.rundown_index + 1)
+			},
+			rundown_previous: {
+				name: 'Rundown: Previous Item',
+				options: [],
+				callback: () => this.rundown_play(this.rundown_index - 1)
+			},
+			rundown_restart: {
+				name: 'Rundown: Restart',
+				description: 'Plays the rundown from the first item.',
+				options: [],
+				callback: () => this.rundown_play(0)
+			},
+			rundown_goto: {
+				name: 'Rundown: Go to Item',
+				options: [
+					{
+						type: 'textinput',
+						label: 'Item Number',
+						id: 'item',
+						default: '1',
+						useVariables: true,
+					}
+				],
+				callback: async (event) => {
+					const item = parseInt(await this.parseVariablesInString(event.options.item));
+
+					this.rundown_play(item - 1);
+				}
+			},
+			rundown_auto_advance: {
+				name: 'Rundown: Auto Advance',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Auto Advance',
+						id: 'state',
+						default: 'toggle',
+						tooltip: 'When on, the next item is loaded when the out point of the current item is reached.',
+						choices: [
+							{ id: 'on', label: 'On' },
+							{ id: 'off', label: 'Off' },
+							{ id: 'toggle', label: 'Toggle' }
+						]
+					}
+				],
+				callback: (event) => {
+					this.rundown_auto_advance = event.options.state === 'toggle' ? !this.rundown_auto_advance : event.options.state === 'on';
+					this.log('info', 'Rundown auto advance ' + (this.rundown_auto_advance ? 'on' : 'off') + '.');
+					this.checkFeedbacks('rundown_auto_advance');
+				}
+			},
+			lock_controls: {
+				name: 'Lock Controls',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Lock',
+						id: 'state',
+						default: 'toggle',
+						tooltip: 'While locked, actions that change the output (transport, channel loads, cuepoint recalls, rundown and reboot) are ignored.',
+						choices: [
+							{ id: 'on', label: 'Locked' },
+							{ id: 'off', label: 'Unlocked' },
+							{ id: 'toggle', label: 'Toggle' }
+						]
+					}
+				],
+				callback: (event) => this.set_locked(event.options.state === 'toggle' ? !this.locked : event.options.state === 'on')
+			}
+		};
+
+		// A renamed or removed action would silently lose its output selector or lock, so report it
+		const missing = [...new Set([...this.OUTPUT_ACTIONS, ...this.LOCKABLE_ACTIONS])].filter(id => !(id in actions));
+		if(missing.length > 0) {
+			this.log('error', 'Output or lockable actions are not defined: ' + missing.join(', '));
+		}
+
+		for(const id of this.OUTPUT_ACTIONS.filter(id => id in actions)) {
+			actions[id].options.unshift({
+				type: 'dropdown',
+				label: 'Output',
+				id: 'output',
+				default: 'player',
+				choices: outputs
+			});
+		}
+
+		for(const id of this.LOCKABLE_ACTIONS.filter(id => id in actions)) {
+			const callback = actions[id].callback;
+
+			actions[id].callback = (event) => {
+				if(this.locked) {
+					this.log('warn', `Controls are locked, ignoring ${actions[id].name}.`);
+					return;
+				}
+
+				return callback(event);
+			};
+		}
+
+		// Unavailable actions stay defined, so buttons using them keep working if the account changes
+		for(const id in actions) {
+			const reason = this._get_unavailable_reason(id);
+
+			if(reason !== null) {
+				const name = actions[id].name;
+
+				actions[id].name = `${name} (unavailable, ${reason})`;
+				actions[id].callback = () => {
+					this.log('warn', `${name} is unavailable, ${reason}.`);
+				};
+			}
+		}
+
+		this.setActionDefinitions(actions);
+	}
+
+	/**
+	 * Two-step confirmation, the first press arms the action and pressing it again within the confirm time executes it
+	 * @param {String} action ID of the action
+	 * @param {String} target Channel or slot the action is for
+	 * @param {String} description What the action will do, for the log
+	 * @returns {Boolean} If the action should execute
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_confirm(action, target, description) {
+		if(this.armed !== null && this.armed.action === action && this.armed.target === target) {
+			this._disarm();
+			return true;
+		}
+
+		this._disarm();
+
+		const timeout = this._get_config_number('confirm_timeout', this.CONFIRM_TIMEOUT);
+		this.armed = {
+			action: action,
+			target: target,
+			description: description,
+			timer: setTimeout(() => {
+				this.log('info', `Not confirmed, will not ${description}.`);
+				this._disarm();
+			}, timeout * 1000)
+		};
+
+		this.log('info', `Press again within ${timeout} seconds to ${description}.`);
+		this.setVariableValues({
+			armed: description
+		});
+		this.checkFeedbacks('armed');
+
+		return false;
+	}
+
+	/**
+	 * Cancel the armed action, if any
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_disarm() {
+		if(this.armed === null) {
+			return;
+		}
+
+		clearTimeout(this.armed.timer);
+		this.armed = null;
+		this.setVariableValues({
+			armed: ''
+		});
+		this.checkFeedbacks('armed');
+	}
+
+	/**
+	 * Lock or unlock the controls that change the output
+	 * @param {Boolean} locked
+	 * @access public
+	 * @since 2.1.0
+	 */
+	set_locked(locked) {
+		this.locked = locked;
+		this.log('info', 'Controls ' + (locked ? 'locked' : 'unlocked') + '.');
+
+		if(locked) {
+			this._disarm();
+		}
+		this.checkFeedbacks('locked');
+	}
+
+	/**
+	 * Returns list of allowed cue points slots
+	 * @access protected
+	 * @return {Object}
+	 * @since 1.1.0
+	 */
+	_get_allowed_cuepoints() {
+		const count = parseInt(this.config.cuepoint_count) || this.DEFAULT_CUEPOINT_SLOTS;
+		let ret = [];
+
+		for(let i = 1; i <= count; i++) {
+			ret.push({ id: String(i), label: 'Slot ' + i });
+		}
+		return ret;
+	}
+
+	/**
+	 * Toggles play/pause
+	 * @param {String} output ID of the output
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 1.0.0
+	 */
+	play_pause(output = 'player') {
+		const target = this._get_output(output);
+
+		if(!this._isConnected() || target === null) {
+			return false;
+		}
+
+		this.log('info', 'Sending pause/play command' + (output !== 'player' ? ' to ' + this._get_output_label(output) : '') + '.');
+		if(output === 'player') {
+			this.socket.emit('sendAndCallback2', 'playback:togglePlayState');
+		} else {
+			this.socket.emit('sendAndCallback2', 'playback:togglePlayState', target.index);
+		}
+		return true;
+	}
+
+	/**
+	 * Insures that the channel is currently setup on the device
+	 * @param {String} id
+	 * @returns {Boolean}
+	 */
+	_is_valid_channel(id) {
+		if(id in this.channels && (this.channels[id].error?.message ?? false) === false) {
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Adds an warning to the log if not currently connected
+	 */
+	_isConnected() {
+		if(this.socket === undefined) {
+			this.log('warn', 'Attempted to send command when not connected.');
+			return false;
+		}
+
+		return true;
+	}
+
+	/**
+	 * Load a channel to output
+	 * @param {String} id ID of channel to check
+	 * @param {String} init_time Initial time to load with
+	 * @param {Function} callback Called when the device has loaded the channel
+	 * @param {String} output ID of the output
+	 * @access public
+	 * @since 1.0.0
+	 */
+	load_channel(id, init_time, callback = null, output = 'player') {
+		const target = this._get_output(output);
+
+		if(!this._isConnected()) {
+			return false;
+		}
+		if(target === null) {
+			this.log('warn', `Output ${output} is not on the device.`);
+			return false;
+		}
+
+		if(!this._is_valid_channel(id)) {
+			this.log('warn', `Cannot load invalid channel ${id}`);
+			return false; // Do not attempt to load an invalid channel
+		}
+		if(isNaN(init_time)) {
+			this.log('error', `Cannot load channel ${id} at invalid time ${init_time}`);
+			return false;
+		}
+
+		init_time = this._get_new_init_time(id, init_time);
+
+		this.log('info', 'Loading channel ' + id + ' at ' + init_time + (output !== 'player' ? ' on ' + this._get_output_label(output) : '') + '.');
+
+		this.socket.emit('sendAndCallback2', 'playback:loadChannel', id, init_time, false, target.index, false, null, callback);
+		if(output === 'player') {
+			// Every load starts the out point grace period, not only the loop's own
+			this.loop.loaded_at = Date.now();
+			this._rundown_loaded_at = Date.now();
+			this.set_live_channel(id);
+			this._set_cur_time(init_time);
+		} else {
+			target.channel = id;
+			target.time = init_time;
+			this._update_output_variables(output);
+			this.checkFeedbacks('active');
+		}
+
+		return true;
+	}
+
+	/**
+	 * Load a channel to output as an operator jump, recording where the output was for Back
+	 * The history is only kept for the first output.
+	 * @param {String} id ID of channel
+	 * @param {String} init_time Initial time to load with
+	 * @param {Function} callback Called when the device has loaded the channel
+	 * @param {String} output ID of the output
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	jump(id, init_time, callback = null, output = 'player') {
+		if(output !== 'player') {
+			return this.load_channel(id, init_time, callback, output);
+		}
+
+		const from = this._get_position();
+
+		if(!this.load_channel(id, init_time, callback)) {
+			return false;
+		}
+
+		if(from !== null) {
+			this.history.back.push(from);
+			this.history.back.splice(0, this.history.back.length - this.HISTORY_SIZE);
+			this.history.forward = [];
+			this._update_history_variables();
+		}
+		return true;
+	}
+
+	/**
+	 * Return to the position before the last jump (Back), or after it (Forward)
+	 * @param {String} direction back or forward
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	history_step(direction) {
+		const from = direction === 'back' ? this.history.back : this.history.forward;
+		const to = direction === 'back' ? this.history.forward : this.history.back;
+
+		if(from.length === 0) {
+			this.log('info', `No position to go ${direction} to.`);
+			return false;
+		}
+
+		const position = from[from.length - 1];
+		const current = this._get_position();
+
+		this.log('info', `Going ${direction} to ${this._get_position_label(position)}.`);
+		if(!this.load_channel(position.channel, position.time)) {
+			return false;
+		}
+
+		from.pop();
+		if(current !== null) {
+			to.push(current);
+		}
+		this._update_history_variables();
+		return true;
+	}
+
+	/**
+	 * Returns the current position of the output
+	 * @returns {Object|null} channel and time, null if nothing is loaded
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_position() {
+		if(this.cur_channel === null || this.cur_time === null) {
+			return null;
+		}
+
+		return { channel: this.cur_channel, time: this.cur_time };
+	}
+
+	/**
+	 * Returns a position as channel name and time
+	 * @param {Object} position channel and time
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_position_label(position) {
+		return (this.channels[position.channel]?.name ?? position.channel) + ' ' + this._userFriendlyTime(position.time);
+	}
+
+	/**
+	 * Update the jump history variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_history_variables() {
+		const back = this.history.back[this.history.back.length - 1];
+		const forward = this.history.forward[this.history.forward.length - 1];
+
+		this.setVariableValues({
+			history_previous: back ? this._get_position_label(back) : '',
+			history_next: forward ? this._get_position_label(forward) : ''
+		});
+	}
+
+	/**
+	 * Check if a channel is live
+	 * @param {String} id ID of channel to check
+	 * @access public
+	 * @since 1.0.0
+	 */
+	is_live(id) {
+		if(this._is_valid_channel(id)) {
+			// Cloud updates should be sent every 5 seconds or so
+			if('last_duration_change' in this.channels[id] && (new Date - this.channels[id].last_duration_change) <= 15000) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Returns the health of a channel
+	 * A channel that was live but has had no duration update for 15 seconds has stalled, until it resumes.
+	 * @param {String} id ID of channel to check
+	 * @returns {String} idle, live, stalled or error
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_channel_health(id) {
+		const channel = this.channels[id];
+		const prev = this.channel_health[id]?.state;
+
+		if(channel.error?.message) {
+			return 'error';
+		}
+		if(this.is_live(id)) {
+			return 'live';
+		}
+		if(prev === 'live' || prev === 'stalled') {
+			// Durations are not known to have changed right after (re)connecting, so give them the same time as is_live()
+			const last_change = channel.last_duration_change ?? this._channels_loaded_at;
+			return (new Date - last_change) > 15000 ? 'stalled' : prev;
+		}
+
+		return 'idle';
+	}
+
+	/**
+	 * Update the health and live variable of a channel, logging any change
+	 * @param {String} id ID of channel to check
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_check_channel_health(id) {
+		const state = this._get_channel_health(id);
+		const health = this.channel_health[id] ?? { state: 'idle', since: null, resumed_at: null, live: null };
+		const name = this.channels[id].name ?? id;
+
+		// No delta arrives when a channel stops recording, so the live variable is only turned off here
+		const live = this.is_live(id);
+		if(live !== health.live) {
+			health.live = live;
+			this.setVariableValues({
+				[this._channel_variable_id(id, 'live')]: live
+			});
+		}
+
+		if(state === health.state && id in this.channel_health) {
+			return;
+		}
+
+		if(state === 'error') {
+			this.log('warn', `Channel ${name} has an error: ${this.channels[id].error.message}`);
+		} else if(health.state === 'error') {
+			this.log('warn', `Channel ${name} error cleared.`);
+		} else if(state === 'stalled') {
+			this.log('warn', `Channel ${name} was live but has stalled, no new recording for 15 seconds.`);
+		} else if(state === 'live' && health.state === 'stalled') {
+			this.log('warn', `Channel ${name} recording resumed.`);
+			health.resumed_at = new Date();
+		}
+
+		health.state = state;
+		health.since = new Date();
+		this.channel_health[id] = health;
+
+		this.setVariableValues({
+			[this._channel_variable_id(id, 'health')]: state
+		});
+		this.checkFeedbacks('channel_error', 'channel_stalled', 'channel_resumed');
+	}
+
+	/**
+	 * Update the health of every channel
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_check_channels_health() {
+		for(const id in this.channels) {
+			this._check_channel_health(id);
+		}
+
+		// Resumed feedbacks turn off after a while
+		if(Object.values(this.channel_health).some(health => health.resumed_at !== null)) {
+			this.checkFeedbacks('channel_resumed');
+		}
+	}
+
+	/**
+	 * Returns if a channel, or any channel for *, is in a health state
+	 * @param {String} id ID of channel, or * for any channel
+	 * @param {Function} check Called with the health of each channel
+	 * @returns {Boolean}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_channel_health_matches(id, check) {
+		const ids = id === '*' ? Object.keys(this.channel_health) : [id];
+
+		return ids.some(id => id in this.channel_health && check(this.channel_health[id]));
+	}
+
+	/**
+	 * Returns a friendly time in the 00:00:00 format
+	 * @param {Int} seconds
+	 * @access private
+	 * @since 1.0.0
+	 */
+	_userFriendlyTime(seconds) {
+		return new Date(1000 * seconds)
+			.toISOString()
+			.substr(11, 8);
+	}
+
+	/**
+	 * Converts SS, MM:SS or HH:MM:SS (with optional fractional seconds and sign) to seconds
+	 * @param {String} formatted_time
+	 * @returns {Float|String} Seconds, empty string if empty or NaN if invalid
+	 * @access private
+	 * @since 1.0.0
+	 */
+	_toSeconds(formatted_time) {
+		return toSeconds(formatted_time);
+	}
+
+	/**
+	 * Resolves a time expression for a channel to seconds
+	 * Supports absolute times, +/- relative to the current time, live+/- relative to the live edge, end+/- relative to the duration and percentages of the duration.
+	 * @param {String} expression
+	 * @param {String} id ID of the channel the time is for
+	 * @param {Float|null} cur_time Current time relative times are from, by default of the first output
+	 * @returns {Float|String} Seconds, empty string if empty or NaN if invalid
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_resolve_time(expression, id, cur_time = this.cur_time) {
+		return resolveTime(expression, {
+			cur_time: cur_time,
+			duration: this.channels[id]?.duration,
+			live_edge: id in this.channels ? this._get_live_edge(id) : undefined
+		});
+	}
+
+	/**
+	 * Get new start time based on new time, to insure we have a buffer and aren't trying to start at a negative time
+	 * @param {String} id ID of channel to check
+	 * @param {Float} init_time
+	 * @returns {Float}
+	 * @access private
+	 * @since 1.0.0
+	 */
+	_get_new_init_time(id, init_time) {
+		if(init_time === '') {
+			// Check if stream is live, if it's live go to the end; otherwise go to the beginning
+			if(!this.is_live(id)) {
+				init_time = 0;
+			} else {
+				init_time = this.channels[id].duration;
+			}
+		}
+
+		// Always verify that we don't go to the very end of the video
+		if(init_time > (this.channels[id].duration - this.MIN_BUFFER_TIME)) {
+			init_time = this.channels[id].duration - this.MIN_BUFFER_TIME; // Give a little second buffer
+			if(init_time <= 0) init_time = 0;
+		}
+
+		return parseFloat(init_time);
+	}
+
+	/**
+	 * Checks if a channel is currently active
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 1.1.0
+	 */
+	is_currently_active(output = 'player') {
+		const target = this._get_output(output);
+
+		if(!target?.channel || !target?.time) {
+			return false; // No clip is currently playing
+		}
+		return true;
+	}
+
+	/**
+	 * Skip to different time for output
+	 * @param {CompanionActionEvent} event skip_time
+	 * @access public
+	 * @since 1.0.0
+	 */
+	skip_live(event) {
+		const output = event.options.output ?? 'player';
+
+		if(!this.is_currently_active(output)) {
+			return false;
+		}
+
+		const target = this._get_output(output);
+		const time = parseFloat(event.options.skip_time);
+		this.log('info', 'Skipping time by ' + time + '. From ' + target.time + ' -> ' + (target.time + time) + '.');
+
+		this.jump(target.channel, target.time + time, null, output);
+		return true;
+	}
+
+	/**
+	 * Move the jog target by one tick of a rotary encoder, loading it once the dial settles
+	 * @param {Object} event Action event
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	jog_step(event) {
+		const output = event.options.output ?? 'player';
+		const direction = parseInt(event.options.direction) < 0 ? -1 : 1;
+		const step = parseFloat(this.jog.coarse ? event.options.coarse_step : event.options.fine_step);
+
+		if(!this.is_currently_active(output)) {
+			return false;
+		}
+		if(isNaN(step) || step <= 0) {
+			this.log('error', 'Invalid jog step');
+			return false;
+		}
+
+		const target = this._get_output(output);
+		const now = Date.now();
+		let multiplier = 1;
+
+		if(this.jog.target === null || this.jog.output !== output || this.jog.channel !== target.channel) {
+			this.jog.channel = target.channel;
+			this.jog.output = output;
+			this.jog.target = target.time ?? 0;
+		} else if(this.jog.direction === direction) {
+			// Turning faster takes bigger steps, turning back starts again from the smallest
+			multiplier = this.JOG_ACCELERATION.find(([interval]) => now - this.jog.ticked_at <= interval)?.[1] ?? 1;
+		}
+
+		const duration = this.channels[target.channel]?.duration ?? Infinity;
+		this.jog.target = Math.min(Math.max(this.jog.target + direction * step * multiplier, 0), duration);
+		this.jog.direction = direction;
+		this.jog.ticked_at = now;
+		this._update_jog_variables();
+
+		clearTimeout(this.jog.timer);
+		this.jog.timer = setTimeout(this._jog_settled.bind(this), this.JOG_SETTLE_TIME);
+		return true;
+	}
+
+	/**
+	 * Load the jog target, once the dial stopped turning
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_jog_settled() {
+		const { channel, output, target } = this.jog;
+
+		this._stop_jog();
+		if(this.locked) {
+			this.log('warn', 'Controls are locked, not going to the jog target.');
+			return;
+		}
+
+		this.log('info', 'Jogging to ' + this._userFriendlyTime(target) + '.');
+		this.jump(channel, target, null, output);
+	}
+
+	/**
+	 * Forget the pending jog target without loading it
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_stop_jog() {
+		clearTimeout(this.jog.timer);
+		this.jog.timer = null;
+		this.jog.target = null;
+		this.jog.direction = 0;
+		this._update_jog_variables();
+	}
+
+	/**
+	 * Set if the jog dial takes fine or coarse steps
+	 * @param {Boolean} coarse
+	 * @access public
+	 * @since 2.1.0
+	 */
+	set_jog_mode(coarse) {
+		this.jog.coarse = coarse;
+		this._update_jog_variables();
+		this.checkFeedbacks('jog_coarse');
+	}
+
+	/**
+	 * Update the jog variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_jog_variables() {
+		this.setVariableValues({
+			jog_target: this.jog.target !== null ? this._userFriendlyTime(this.jog.target) : '',
+			jog_mode: this.jog.coarse ? 'coarse' : 'fine'
+		});
+	}
+
+	/**
+	 * Reboots the device and starts reconnect attempt
+	 * @access public
+	 * @since 1.0.0
+	 */
+	async reboot() {
+		if(!this._isConnected()) {
+			return;
+		}
+
+		this.log('info', 'Ending connecting and rebooting...');
+		await got.put(this._get_url('/api/settings/reboot'), {
+			json: {
+				id: 0
+			},
+			headers: {
+				Cookie: 'sessionID=' + this.session_id
+			},
+			...this._get_got_tls_options(),
+		}).then(d => {
+			this.updateStatus('disconnected', 'Rebooting...');
+			this._endConnection();
+			this.session_id = null;
+			this.keep_login_retry(this.REBOOT_WAIT_TIME);
+		}).catch(e => {
+			if(e.response?.statusCode === 403) {
+				this.log('error', 'Could not reboot, the account is not permitted to reboot the device.');
+				this.updateStatus('unknown_warning', 'Account not permitted to reboot');
+			} else if(e.response?.statusCode === 401) {
+				this.log('error', 'Could not reboot, the session has expired. Logging in again.');
+				this._reconnect({ message: 'Session expired' }, true);
+			} else {
+				this.log('error', 'Could not reboot: ' + e.message);
+			}
+		})
+	}
+
+	/**
+	 * Set a cuepoint
+	 * @param {CompanionActionEvent} event cuepoint_id, label and output
+	 * @access public
+	 * @since 1.1.0
+	 */
+	async set_cuepoint(event) {
+		const cuepoint_id = event.options.cuepoint_id;
+		const output = event.options.output ?? 'player';
+
+		if(!this.is_currently_active(output)) {
+			this.log('info', 'No active channel to save cuepoint.');
+			return false;
+		}
+
+		const target = this._get_output(output);
+		const label = await this.parseVariablesInString(event.options.label ?? '');
+
+		this.log('info', 'Setting cuepoint for slot ' + cuepoint_id);
+		this.cuepoints[cuepoint_id] = {
+			channel: target.channel,
+			time: target.time,
+			image: output === 'player' ? (this.image ? this.image.toString('base64') : null) : target.image,
+			label: label !== '' ? label : (this.cuepoints[cuepoint_id]?.label ?? ''),
+			missing: false
+		};
+
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Set the label of a cuepoint slot
+	 * @param {CompanionActionEvent} event cuepoint_id and label
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async label_cuepoint(event) {
+		const cuepoint_id = event.options.cuepoint_id;
+
+		if(!(cuepoint_id in this.cuepoints)) {
+			this.log('info', 'No cuepoint saved in slot ' + cuepoint_id);
+			return false;
+		}
+
+		this.cuepoints[cuepoint_id].label = await this.parseVariablesInString(event.options.label);
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Clear a cuepoint slot
+	 * @param {CompanionActionEvent} event cuepoint_id
+	 * @access public
+	 * @since 2.1.0
+	 */
+	clear_cuepoint(event) {
+		const cuepoint_id = event.options.cuepoint_id;
+
+		this.log('info', 'Clearing cuepoint for slot ' + cuepoint_id);
+		delete this.cuepoints[cuepoint_id];
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Clear all cuepoint slots
+	 * @access public
+	 * @since 2.1.0
+	 */
+	clear_all_cuepoints() {
+		this.log('info', 'Clearing all cuepoints');
+		this.cuepoints = {};
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Move a saved cuepoint backward or forward
+	 * @param {CompanionActionEvent} event cuepoint_id and nudge_time
+	 * @access public
+	 * @since 2.1.0
+	 */
+	nudge_cuepoint(event) {
+		const cuepoint_id = event.options.cuepoint_id;
+		const time = parseFloat(event.options.nudge_time);
+
+		if(!(cuepoint_id in this.cuepoints)) {
+			this.log('info', 'No cuepoint saved in slot ' + cuepoint_id);
+			return false;
+		}
+		if(isNaN(time)) {
+			this.log('error', 'Invalid nudge time ' + event.options.nudge_time);
+			return false;
+		}
+
+		const cuepoint = this.cuepoints[cuepoint_id];
+		cuepoint.time = Math.max(0, cuepoint.time + time);
+		this.log('info', 'Nudged cuepoint for slot ' + cuepoint_id + ' by ' + time + ' to ' + cuepoint.time + '.');
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Copy a saved cuepoint to another slot
+	 * @param {CompanionActionEvent} event from_id and to_id
+	 * @access public
+	 * @since 2.1.0
+	 */
+	copy_cuepoint(event) {
+		const { from_id, to_id } = event.options;
+
+		if(!(from_id in this.cuepoints)) {
+			this.log('info', 'No cuepoint saved in slot ' + from_id);
+			return false;
+		}
+
+		this.log('info', 'Copying cuepoint from slot ' + from_id + ' to slot ' + to_id);
+		this.cuepoints[to_id] = {...this.cuepoints[from_id]};
+		this._cuepoints_changed();
+	}
+
+	/**
+	 * Saves the cuepoints and refreshes everything that shows them
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_cuepoints_changed() {
+		this._save_state();
+		this._update_cuepoint_variables();
+		this.checkFeedbacks('cuepoint', 'cuepoint_missing', 'progress');
+	}
+
+	/**
+	 * Update the per-slot cuepoint variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_cuepoint_variables() {
+		let values = {};
+
+		this._get_allowed_cuepoints().forEach((slot) => {
+			const cuepoint = this.cuepoints[slot.id];
+
+			values[`cuepoint_${slot.id}_label`] = cuepoint?.label ?? '';
+			values[`cuepoint_${slot.id}_channel`] = cuepoint ? (this.channels[cuepoint.channel]?.name ?? cuepoint.channel) : '';
+			values[`cuepoint_${slot.id}_time`] = cuepoint ? this._userFriendlyTime(cuepoint.time) : '';
+		});
+
+		this.setVariableValues(values);
+	}
+
+	/**
+	 * Loads the cuepoints stored in the module configuration
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_load_cuepoints() {
+		const saved = this.config.cuepoints;
+
+		if(!saved || typeof saved !== 'object') {
+			return {};
+		}
+
+		let cuepoints = {};
+		for(const cuepoint_id in saved) {
+			cuepoints[cuepoint_id] = {
+				...this._get_saved_cuepoint(saved[cuepoint_id]),
+				image: null,
+				missing: false
+			};
+		}
+
+		this.log('info', 'Restored ' + Object.keys(cuepoints).length + ' saved cuepoint(s).');
+		return cuepoints;
+	}
+
+	/**
+	 * Returns the part of a cuepoint stored in the module configuration
+	 * Preview images stay in memory only, as the configuration is rewritten on every change and exported with the page.
+	 * @param {Object} cuepoint
+	 * @returns {Object} channel, time and label
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_saved_cuepoint(cuepoint) {
+		return {
+			channel: cuepoint.channel,
+			time: cuepoint.time,
+			label: cuepoint.label ?? ''
+		};
+	}
+
+	/**
+	 * Writes the cuepoints (without their preview images) and rundown to the module configuration so they survive restarts
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_save_state() {
+		this.config.cuepoints = Object.fromEntries(Object.entries(this.cuepoints)
+			.map(([cuepoint_id, cuepoint]) => [cuepoint_id, this._get_saved_cuepoint(cuepoint)]));
+		this.config.rundown = [...this.rundown];
+		this.saveConfig(this.config);
+	}
+
+	/**
+	 * Flags any saved cuepoints that reference channels the device no longer has
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_validate_cuepoints() {
+		for(const cuepoint_id in this.cuepoints) {
+			const cuepoint = this.cuepoints[cuepoint_id];
+			cuepoint.missing = !(cuepoint.channel in this.channels);
+
+			if(cuepoint.missing) {
+				this.log('warn', `Cuepoint slot ${cuepoint_id} references channel ${cuepoint.channel}, which is not on the device.`);
+			}
+		}
+
+		this._update_cuepoint_variables();
+		this.checkFeedbacks('cuepoint', 'cuepoint_missing');
+	}
+
+	/**
+	 * Recalls a saved cuepoint
+	 * @param {CompanionActionEvent} event cuepoint_id and play_state
+	 * @access public
+	 * @since 1.1.0
+	 */
+	recall_cuepoint(event) {
+		const cuepoint_id = event.options.cuepoint_id;
+		const play_state = event.options.play_state;
+
+		if(!(cuepoint_id in this.cuepoints)) {
+			this.log('info', 'No cuepoint saved in slot ' + cuepoint_id);
+			return false;
+		}
+
+		const cuepoint = this.cuepoints[cuepoint_id];
+		if(cuepoint.missing) {
+			this.log('warn', `Cuepoint slot ${cuepoint_id} references channel ${cuepoint.channel}, which is not on the device.`);
+			return false;
+		}
+
+		this.log('info', 'Recalling cuepoint for slot ' + cuepoint_id);
+		// The reason we send a play_pause is because loads automatically start playing and we cannot stop that
+		const output = event.options.output ?? 'player';
+		this.jump(cuepoint.channel, cuepoint.time, play_state === 'pause' ? () => this.play_pause(output) : null, output);
+	}
+
+	/**
+	 * Go to the point in a channel's recording made at a wall-clock time
+	 * @param {String} id ID of the channel
+	 * @param {String} time Time of day in HH:MM:SS format, or +/- relative to the time of day of the playhead
+	 * @param {String} output ID of the output
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	goto_time_of_day(id, time, output = 'player') {
+		if(id === null) {
+			this.log('warn', 'Cannot go to time of day when channel not loaded.');
+			return false;
+		}
+
+		const start = this._get_recording_start(id);
+		const target_output = this._get_output(output);
+
+		// Relative times are from the time of day of the playhead, if the output is playing that channel
+		let cur_time_of_day = null;
+		if(start && target_output?.channel === id && target_output.time !== null) {
+			const playhead = new Date(start.getTime() + target_output.time * 1000);
+			cur_time_of_day = playhead.getHours() * 3600 + playhead.getMinutes() * 60 + playhead.getSeconds();
+		}
+
+		const seconds = resolveTime(time, { cur_time: cur_time_of_day });
+		if(seconds === '' || isNaN(seconds) || seconds < 0 || seconds >= 86400) {
+			this.log('error', `Invalid time of day "${time}".`);
+			return false;
+		}
+
+		if(!start) {
+			this.log('warn', `Recording start time of channel ${id} is not known yet.`);
+			return false;
+		}
+
+		// Use the latest occurrence of that time of day, so recordings over midnight work
+		let target = new Date();
+		target.setHours(0, 0, 0, 0);
+		target = new Date(target.getTime() + seconds * 1000);
+		if(target > new Date()) {
+			target.setDate(target.getDate() - 1);
+		}
+
+		const offset = (target - start) / 1000;
+		if(offset < 0 || offset > (this.channels[id]?.duration ?? 0)) {
+			this.log('warn', `Time of day ${time} is not in the recording of channel ${id}.`);
+			return false;
+		}
+
+		this.log('info', `Time of day ${time} is ${offset} seconds into channel ${id}.`);
+		return this.jump(id, offset, null, output);
+	}
+
+	/**
+	 * Returns the start of a channel's recording, from the device if it sends it or as estimated while live
+	 * The start_time channel field is not confirmed on a device yet, so it is only used with experimental features on and if it parses as a date.
+	 * @param {String} id ID of the channel
+	 * @returns {Date|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_recording_start(id) {
+		const start_time = this.channels[id]?.start_time;
+
+		if(this.config.experimental && start_time !== undefined && start_time !== null) {
+			// Epoch seconds or milliseconds, or a date string
+			const start = new Date(typeof start_time === 'number' && start_time < 1e11 ? start_time * 1000 : start_time);
+			if(!isNaN(start)) {
+				return start;
+			}
+		}
+
+		return this.recording_starts[id] ?? null;
+	}
+
+	/**
+	 * Returns the local time of day in the 00:00:00 format
+	 * @param {Date} date
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_timeOfDay(date) {
+		return [date.getHours(), date.getMinutes(), date.getSeconds()]
+			.map(value => String(value).padStart(2, '0'))
+			.join(':');
+	}
+
+	/**
+	 * Set the in or out point of the current channel
+	 * @param {String} point 'in' or 'out'
+	 * @param {String} time Time expression to set (see _resolve_time()), empty for the current time
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	set_loop_point(point, time) {
+		if(!this.is_currently_active()) {
+			this.log('info', `No active channel to set ${point} point.`);
+			return false;
+		}
+
+		time = time === '' ? this.cur_time : this._resolve_time(time, this.cur_channel);
+		if(isNaN(time) || time < 0) {
+			this.log('error', `Invalid ${point} point`);
+			return false;
+		}
+
+		// Points are only valid for the channel they were set on
+		if(this.loop.channel !== this.cur_channel) {
+			this.loop.in = null;
+			this.loop.out = null;
+			this.loop.channel = this.cur_channel;
+		}
+
+		this.loop[point] = time;
+		if(this.loop.in !== null && this.loop.out !== null && this.loop.out <= this.loop.in) {
+			this.log('warn', 'Out point is not after the in point, so it will be ignored.');
+		}
+
+		this.log('info', `Setting ${point} point to ${time}.`);
+		this._update_loop_variables();
+		return true;
+	}
+
+	/**
+	 * Clear the in and out points
+	 * @access public
+	 * @since 2.1.0
+	 */
+	clear_loop() {
+		this.log('info', 'Clearing in/out points.');
+		this.loop.channel = null;
+		this.loop.in = null;
+		this.loop.out = null;
+		this._update_loop_variables();
+	}
+
+	/**
+	 * Loop or pause when the out point is crossed
+	 * @param {Float} prev_time Time before the latest update
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_check_loop(prev_time) {
+		const loop = this.loop;
+
+		if(loop.out === null || loop.channel !== this.cur_channel || (Date.now() - loop.loaded_at) < this.OUT_POINT_GRACE) {
+			return;
+		}
+		if(loop.in !== null && loop.out <= loop.in) {
+			return;
+		}
+		if(prev_time === null || prev_time >= loop.out || this.cur_time < loop.out) {
+			return; // Only act when the out point is crossed, so playing on past it is possible
+		}
+
+		if(loop.enabled) {
+			this.log('info', 'Reached out point, looping to in point.');
+			this.load_channel(loop.channel, loop.in ?? 0);
+		} else if(loop.pause_at_out) {
+			this.log('info', 'Reached out point, pausing.');
+			loop.loaded_at = Date.now();
+			this.pause();
+		}
+	}
+
+	/**
+	 * Update the loop variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_loop_variables() {
+		this.setVariableValues({
+			loop_in: this.loop.in !== null ? this._userFriendlyTime(this.loop.in) : '',
+			loop_out: this.loop.out !== null ? this._userFriendlyTime(this.loop.out) : ''
+		});
+	}
+
+	/**
+	 * Start playing a channel a fixed time behind live
+	 * @param {String} id ID of channel to play
+	 * @param {Float} delay Seconds behind live
+	 * @param {Float} tolerance Seconds of drift allowed before correcting
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	delay_start(id, delay, tolerance) {
+		if(!this._is_valid_channel(id)) {
+			this.log('warn', `Cannot start tape delay on invalid channel ${id}`);
+			return false;
+		}
+		if(delay === '' || isNaN(delay) || delay < 0) {
+			this.log('error', 'Invalid tape delay time');
+			return false;
+		}
+		if(!this.is_live(id)) {
+			this.log('warn', `Channel ${id} is not live, tape delay may not hold.`);
+		}
+		if(delay < this.MIN_BUFFER_TIME) {
+			this.log('warn', `Tape delay cannot be less than ${this.MIN_BUFFER_TIME} seconds behind live.`);
+			delay = this.MIN_BUFFER_TIME;
+		}
+
+		this.log('info', `Starting tape delay of ${delay} seconds on channel ${id}.`);
+		if(!this.load_channel(id, Math.max(0, this._get_live_edge(id) - delay))) {
+			return false;
+		}
+
+		this.delay = {
+			channel: id,
+			target: delay,
+			tolerance: isNaN(tolerance) ? 0 : tolerance,
+			corrected_at: Date.now()
+		};
+		this._update_delay_variables();
+		this.checkFeedbacks('delay_active', 'delay_out_of_tolerance');
+		return true;
+	}
+
+	/**
+	 * Stop tape-delay mode
+	 * @access public
+	 * @since 2.1.0
+	 */
+	delay_stop() {
+		if(this.delay.channel === null) {
+			return;
+		}
+
+		this.log('info', 'Stopping tape delay.');
+		this.delay.channel = null;
+		this.delay.target = null;
+		this._update_delay_variables();
+		this.checkFeedbacks('delay_active', 'delay_out_of_tolerance');
+	}
+
+	/**
+	 * Returns the estimated live edge of a channel, as durations are only sent every few seconds
+	 * @param {String} id ID of channel to check
+	 * @returns {Float}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_live_edge(id) {
+		const channel = this.channels[id];
+
+		if(!channel) {
+			return 0;
+		}
+		if(this.is_live(id)) {
+			return channel.duration + (new Date - channel.last_duration_change) / 1000;
+		}
+
+		return channel.duration;
+	}
+
+	/**
+	 * Returns the actual delay behind live in tape-delay mode, in seconds
+	 * @returns {Float|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_actual_delay() {
+		if(this.delay.channel === null || this.delay.channel !== this.cur_channel || this.cur_time === null) {
+			return null;
+		}
+
+		return Math.max(0, this._get_live_edge(this.delay.channel) - this.cur_time);
+	}
+
+	/**
+	 * Returns if the tape delay has drifted beyond the tolerance
+	 * @returns {Boolean}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_is_delay_out_of_tolerance() {
+		const actual = this._get_actual_delay();
+
+		return actual !== null && Math.abs(actual - this.delay.target) > this.delay.tolerance;
+	}
+
+	/**
+	 * Correct the tape delay if it has drifted
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_check_delay() {
+		if(this.delay.channel === null) {
+			return;
+		}
+		if(this.delay.channel !== this.cur_channel) {
+			this.log('info', 'Another channel was loaded, stopping tape delay.');
+			this.delay_stop();
+			return;
+		}
+
+		this._update_delay_variables();
+		this.checkFeedbacks('delay_out_of_tolerance');
+
+		// Drift while paused is expected, and reloading would start playback
+		if(!this.is_playing() || (Date.now() - this.delay.corrected_at) < this.DELAY_CORRECTION_INTERVAL) {
+			return;
+		}
+
+		if(this._is_delay_out_of_tolerance()) {
+			const actual = this._get_actual_delay();
+
+			this.log('warn', `Tape delay drifted to ${actual.toFixed(1)} seconds, correcting to ${this.delay.target} seconds.`);
+			this.delay.corrected_at = Date.now();
+			this.load_channel(this.delay.channel, Math.max(0, this._get_live_edge(this.delay.channel) - this.delay.target));
+		}
+	}
+
+	/**
+	 * Update the tape delay variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_delay_variables() {
+		const actual = this._get_actual_delay();
+
+		this.setVariableValues({
+			delay_target: this.delay.target !== null ? this._userFriendlyTime(this.delay.target) : '',
+			delay_actual: actual !== null ? this._userFriendlyTime(actual) : ''
+		});
+	}
+
+	/**
+	 * Returns how far the output is behind the live edge, if the current channel is live
+	 * @returns {Float|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_live_offset() {
+		if(!this.is_live(this.cur_channel) || this.cur_time === null) {
+			return null;
+		}
+
+		return Math.max(0, this._get_live_edge(this.cur_channel) - this.cur_time);
+	}
+
+	/**
+	 * Update the live offset variable and the playhead feedbacks
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_live_offset() {
+		const offset = this._get_live_offset();
+
+		this.setVariableValues({
+			live_offset: offset !== null ? this._userFriendlyTime(offset) : ''
+		});
+		this.checkFeedbacks('near_live');
+
+		// Progress bars only change when a column does, which is every few seconds at most
+		const changed = [...this._progress_bars]
+			.filter(([, bar]) => this._get_progress_columns(bar.width)?.join() !== bar.columns)
+			.map(([id]) => id);
+		if(changed.length > 0) {
+			this.checkFeedbacksById(...changed);
+		}
+	}
+
+	/**
+	 * Returns what each column of a progress bar of the playhead in the current channel shows
+	 * @param {Number} width Width of the bar in pixels
+	 * @returns {String[]|null} Color option of each column, null if there is no current channel
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_progress_columns(width) {
+		const channel = this.channels[this.cur_channel];
+
+		if(!channel) {
+			return null;
+		}
+
+		// Live channels grow between duration updates, so scale to the estimated live edge
+		const length = Math.max(this._get_live_edge(this.cur_channel), channel.duration ?? 0);
+		const position = (time) => Math.max(0, Math.min(width - 1, Math.round((width - 1) * time / length)));
+
+		let columns = new Array(width).fill('bg_color');
+		if(length > 0) {
+			const played = Math.round(width * Math.min(1, Math.max(0, this.cur_time ?? 0) / length));
+			columns.fill('played_color', 0, played);
+
+			for(const cuepoint of Object.values(this.cuepoints)) {
+				if(cuepoint.channel === this.cur_channel) {
+					columns[position(cuepoint.time)] = 'cue_color';
+				}
+			}
+			if(this.is_live(this.cur_channel)) {
+				columns[width - 2] = columns[width - 1] = 'live_color';
+			}
+		}
+
+		return columns;
+	}
+
+	/**
+	 * Returns the progress bar feedback, drawing the bar again only when it has changed since it was last drawn
+	 * @param {CompanionFeedbackAdvancedEvent} feedback
+	 * @returns {CompanionAdvancedFeedbackResult}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_progress_bar(feedback) {
+		const width = feedback.image?.width ?? 72;
+		const image_height = feedback.image?.height ?? 72;
+		const columns = this._get_progress_columns(width);
+		const key = JSON.stringify([feedback.options, image_height]);
+
+		let bar = this._progress_bars.get(feedback.id);
+		if(bar?.width !== width || bar.columns !== columns?.join() || bar.key !== key) {
+			bar = {
+				width: width,
+				columns: columns?.join(),
+				key: key,
+				result: {}
+			};
+
+			if(columns !== null) {
+				const buffer = this._draw_progress_bar(feedback.options, columns);
+				const height = buffer.length / width / 4;
+
+				bar.result = {
+					imageBuffer: buffer,
+					imageBufferPosition: {
+						x: 0,
+						y: image_height - height,
+						width: width,
+						height: height
+					}
+				};
+			}
+			this._progress_bars.set(feedback.id, bar);
+		}
+
+		return bar.result;
+	}
+
+	/**
+	 * Draws a progress bar
+	 * @param {Object} options height and colors of the bar
+	 * @param {String[]} columns Color option of each column
+	 * @returns {Buffer} RGBA image buffer
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_draw_progress_bar(options, columns) {
+		const width = columns.length;
+		const height = Math.max(1, Math.min(72, parseInt(options.height) || 8));
+
+		const buffer = Buffer.alloc(width * height * 4);
+		for(let x = 0; x < width; x++) {
+			const color = options[columns[x]];
+
+			for(let y = 0; y < height; y++) {
+				const offset = (y * width + x) * 4;
+				buffer[offset] = (color >> 16) & 0xff;
+				buffer[offset + 1] = (color >> 8) & 0xff;
+				buffer[offset + 2] = color & 0xff;
+				buffer[offset + 3] = 0xff;
+			}
+		}
+
+		return buffer;
+	}
+
+	/**
+	 * Add an item to the end of the rundown
+	 * @param {CompanionActionEvent} event channel, in, out and label
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async rundown_add(event) {
+		const channel = await this._get_action_channel(event.options);
+		if(channel === null) {
+			return false;
+		}
+
+		// Relative times are from the first output's time, if it is playing that channel
+		const cur_time = channel === this.cur_channel ? this.cur_time : null;
+		const item = {
+			channel: channel,
+			in: this._resolve_time(await this.parseVariablesInString(event.options.in), channel, cur_time),
+			out: this._resolve_time(await this.parseVariablesInString(event.options.out), channel, cur_time),
+			label: await this.parseVariablesInString(event.options.label ?? '')
+		};
+
+		if(!(item.channel in this.channels)) {
+			this.log('warn', `Cannot add invalid channel ${item.channel} to rundown`);
+			return false;
+		}
+		if(item.in === '') {
+			item.in = 0;
+		}
+		if(isNaN(item.in) || item.in < 0 || (item.out !== '' && (isNaN(item.out) || item.out <= item.in))) {
+			this.log('error', `Invalid rundown in/out points ${event.options.in} - ${event.options.out}`);
+			return false;
+		}
+
+		this.rundown.push(item);
+		this.log('info', 'Added rundown item ' + this.rundown.length + ': ' + this._get_rundown_label(item));
+		this._rundown_changed();
+	}
+
+	/**
+	 * Remove an item from the rundown
+	 * @param {CompanionActionEvent} event item
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async rundown_remove(event) {
+		const index = parseInt(await this.parseVariablesInString(event.options.item)) - 1;
+
+		if(!(index in this.rundown)) {
+			this.log('info', 'No rundown item ' + (index + 1));
+			return false;
+		}
+
+		this.log('info', 'Removing rundown item ' + (index + 1));
+		this.rundown.splice(index, 1);
+		if(index < this.rundown_index) {
+			this.rundown_index--;
+		} else if(index === this.rundown_index) {
+			this.rundown_index = -1;
+		}
+		this._rundown_changed();
+	}
+
+	/**
+	 * Remove all items from the rundown
+	 * @access public
+	 * @since 2.1.0
+	 */
+	rundown_clear() {
+		this.log('info', 'Clearing rundown');
+		this.rundown = [];
+		this.rundown_index = -1;
+		this._rundown_changed();
+	}
+
+	/**
+	 * Load an item of the rundown
+	 * @param {Int} index Index of the rundown item, starting at 0
+	 * @returns {Boolean}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	rundown_play(index) {
+		if(!(index in this.rundown)) {
+			this.log('info', 'No rundown item ' + (index + 1));
+			return false;
+		}
+
+		const item = this.rundown[index];
+		this.log('info', 'Playing rundown item ' + (index + 1) + ': ' + this._get_rundown_label(item));
+
+		if(!this.load_channel(item.channel, item.in)) {
+			return false;
+		}
+
+		this.rundown_index = index;
+		this._update_rundown_variables();
+		this.checkFeedbacks('rundown_current', 'rundown_next');
+		return true;
+	}
+
+	/**
+	 * Auto advance the rundown when the out point of the current item is reached
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_check_rundown() {
+		const item = this.rundown[this.rundown_index];
+
+		if(!item) {
+			return;
+		}
+
+		this._update_rundown_variables();
+		this.checkFeedbacks('rundown_ending');
+
+		if(!this.rundown_auto_advance || item.out === '' || item.channel !== this.cur_channel || (Date.now() - this._rundown_loaded_at) < this.OUT_POINT_GRACE) {
+			return;
+		}
+
+		if(this.cur_time >= item.out) {
+			if(this.rundown_index + 1 in this.rundown) {
+				this.rundown_play(this.rundown_index + 1);
+			} else {
+				this.log('info', 'Reached the end of the rundown.');
+				this.pause();
+				this.rundown_index = -1;
+				this._update_rundown_variables();
+				this.checkFeedbacks('rundown_current', 'rundown_next', 'rundown_ending');
+			}
+		}
+	}
+
+	/**
+	 * Returns the time left in the current rundown item, in seconds
+	 * @returns {Float|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_rundown_remaining() {
+		const item = this.rundown[this.rundown_index];
+
+		if(!item || item.channel !== this.cur_channel || this.cur_time === null) {
+			return null;
+		}
+
+		const end = item.out !== '' ? item.out : this.channels[item.channel]?.duration;
+		return Math.max(0, (end ?? 0) - this.cur_time);
+	}
+
+	/**
+	 * Returns the label to show for a rundown item
+	 * @param {Object} item
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_rundown_label(item) {
+		if(!item) {
+			return '';
+		}
+		if(item.label) {
+			return item.label;
+		}
+
+		return (this.channels[item.channel]?.name ?? item.channel) + ' ' + this._userFriendlyTime(item.in) + (item.out !== '' ? '-' + this._userFriendlyTime(item.out) : '');
+	}
+
+	/**
+	 * Saves the rundown and refreshes everything that shows it
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_rundown_changed() {
+		this._save_state();
+		this._update_rundown_variables();
+		this.checkFeedbacks('rundown_current', 'rundown_next', 'rundown_ending');
+	}
+
+	/**
+	 * Update the rundown variables
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_update_rundown_variables() {
+		const remaining = this._get_rundown_remaining();
+
+		this.setVariableValues({
+			rundown_index: this.rundown_index + 1,
+			rundown_count: this.rundown.length,
+			rundown_current: this._get_rundown_label(this.rundown[this.rundown_index]),
+			rundown_next: this._get_rundown_label(this.rundown[this.rundown_index + 1]),
+			rundown_remaining: remaining !== null ? this._userFriendlyTime(remaining) : ''
+		});
+	}
+
+	/**
+	 * Plays the output video
+	 * @access public
+	 * @since 1.0.0
+	 */
+	play(output = 'player') {
+		if(!this.is_playing(output) && (this._get_output(output)?.channel ?? null) !== null) {
+			this.play_pause(output);
+		}
+	}
+
+	/**
+	 * Pauses the output video
+	 * @access public
+	 * @since 1.0.0
+	 */
+	pause(output = 'player') {
+		if(this.is_playing(output) && (this._get_output(output)?.channel ?? null) !== null) {
+			this.play_pause(output);
+		}
+	}
+
+	is_playing(output = 'player') {
+		const status = this._get_output(output)?.status ?? {};
+
+		return 'playing' in status && status.playing;
+	}
+
+	/**
+	 * Initialize feedbacks
+	 * @since 1.0.0
+	 */
+	initFeedbacks() {
+		const channels = this._get_channel_choices(true);
+		const health_channels = [{ id: '*', label: 'Any channel' }, ...this._get_channel_choices()];
+		const outputs = this._get_output_choices();
+
+		const feedbacks = {
+			streaming: {
+				type: 'boolean',
+				name: 'Channel is Streaming',
+				description: 'Indicates this channel is currently live streaming.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: this._get_channel_options(),
+				callback: (feedback) => {
+					const id = this._get_feedback_channel(feedback);
+
+					return id !== null && this.is_live(id);
+				},
+				unsubscribe: (feedback) => this._feedback_channel_references.delete(feedback.id)
+			},
+			armed: {
+				type: 'boolean',
+				name: 'Action Armed',
+				description: 'Indicates an action set to confirm has been pressed once, and is waiting for the confirming press.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Action',
+						id: 'action',
+						default: '*',
+						choices: [
+							{ id: '*', label: 'Any' },
+							{ id: 'channel', label: 'Load Channel' },
+							{ id: 'recall_cuepoint', label: 'Recall Cue Point' },
+							{ id: 'reboot', label: 'Reboot Device' }
+						]
+					},
+					{
+						type: 'textinput',
+						label: 'Channel ID or slot number (empty for any)',
+						id: 'target',
+						default: ''
+					}
+				],
+				callback: (feedback) => this.armed !== null
+					&& (feedback.options.action === '*' || feedback.options.action === this.armed.action)
+					&& ((feedback.options.target ?? '') === '' || String(feedback.options.target) === this.armed.target)
+			},
+			disk_usage: {
+				type: 'boolean',
+				name: 'Storage Usage Above',
+				description: 'Indicates the storage used on the device is above the given percentage. Needs system status polling.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [
+					{
+						type: 'number',
+						label: 'Percent',
+						id: 'percent',
+						default: 90,
+						min: 0,
+						max: 100
+					}
+				],
+				callback: (feedback) => {
+					const storage = this._get_storage();
+					return storage !== null && 100 * storage.used / storage.total > feedback.options.percent;
+				}
+			},
+			disk_free: {
+				type: 'boolean',
+				name: 'Storage Free Below',
+				description: 'Indicates the storage free on the device is below the given size. Needs system status polling.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						type: 'textinput',
+						label: 'GB',
+						id: 'gb',
+						default: '100',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: (feedback) => {
+					const storage = this._get_storage();
+					return storage !== null && storage.free / 1e9 < parseFloat(feedback.options.gb);
+				}
+			},
+			locked: {
+				type: 'boolean',
+				name: 'Controls Locked',
+				description: 'Indicates the controls that change the output are locked.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [],
+				callback: () => this.locked
+			},
+			jog_coarse: {
+				type: 'boolean',
+				name: 'Jog in Coarse Mode',
+				description: 'Indicates the jog dial takes coarse steps.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [],
+				callback: () => this.jog.coarse
+			},
+			selected: {
+				type: 'boolean',
+				name: 'Channel is Selected',
+				description: 'Indicates this channel is selected to load on Take.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: this._get_channel_options(),
+				callback: (feedback) => this.selected_channel !== null && this.selected_channel === this._get_feedback_channel(feedback),
+				unsubscribe: (feedback) => this._feedback_channel_references.delete(feedback.id)
+			},
+			active: {
+				type: 'boolean',
+				name: 'Channel is Active',
+				description: 'Indicates this channel is currently active (playing/paused).',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [
+					...this._get_channel_options(),
+					{
+						type: 'dropdown',
+						label: 'Output',
+						id: 'output',
+						default: 'player',
+						choices: outputs
+					}
+				],
+				callback: (feedback) => {
+					const id = this._get_feedback_channel(feedback);
+
+					return id !== null && id === this._get_output(feedback.options.output ?? 'player')?.channel;
+				},
+				unsubscribe: (feedback) => this._feedback_channel_references.delete(feedback.id)
+			},
+			playing: {
+				type: 'boolean',
+				name: 'Output playing',
+				description: 'Indicates a channel is currently playing.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Output',
+						id: 'output',
+						default: 'player',
+						choices: outputs
+					}
+				],
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				callback: (feedback) => this.is_playing(feedback.options.output ?? 'player')
+			},
+			stopped: {
+				type: 'boolean',
+				name: 'Output stopped',
+				description: 'Indicates a channel is currently stopped.',
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Output',
+						id: 'output',
+						default: 'player',
+						choices: outputs
+					}
+				],
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				callback: (feedback) => !this.is_playing(feedback.options.output ?? 'player')
+			},
+			cuepoint: {
+				type: 'advanced',
+				name: 'Cue Point Slot Saved',
+				description: 'Indicates a cue point is saved.',
+				options: [
+					{
+						type: 'colorpicker',
+						label: 'Foreground color',
+						id: 'fg',
+						default: combineRgb(255,255,255)
+					},
+					{
+						type: 'colorpicker',
+						label: 'Background color',
+						id: 'bg',
+						default: combineRgb(128, 0, 0)
+					},
+					{
+						type: 'dropdown',
+						label: 'Use preview image if available?',
+						id: 'use_preview',
+						choices: [
+							{ id: '', label: 'No' },
+							{ id: 'image', label: 'Yes' }
+						]
+					},
+					{
+						type: 'dropdown',
+						label: 'Cuepoint Slot',
+						id: 'cuepoint_id',
+						choices: this._get_allowed_cuepoints()
+					}
+				],
+				callback: (feedback) => {
+					if(feedback.options.cuepoint_id in this.cuepoints) {
+						let ret = {
+							color: feedback.options.fg,
+							bgcolor: feedback.options.bg
+						};
+						this.log('debug', feedback.options.use_preview);
+						if(feedback.options.use_preview && feedback.options.use_preview === 'image' && this.cuepoints[feedback.options.cuepoint_id].image) {
+							ret.png64 = this.cuepoints[feedback.options.cuepoint_id].image;
+						}
+
+						return ret;
+					}
+
+					return {};
+				}
+			},
+			cuepoint_missing: {
+				type: 'boolean',
+				name: 'Cue Point Slot Missing Channel',
+				description: 'Indicates a saved cue point references a channel that is no longer on the device.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Cuepoint Slot',
+						id: 'cuepoint_id',
+						choices: this._get_allowed_cuepoints()
+					}
+				],
+				callback: (feedback) => this.cuepoints[feedback.options.cuepoint_id]?.missing ?? false
+			},
+			loop: {
+				type: 'boolean',
+				name: 'Loop A-B On',
+				description: 'Indicates the in point will be reloaded at the out point.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [],
+				callback: () => this.loop.enabled
+			},
+			pause_at_out: {
+				type: 'boolean',
+				name: 'Pause at Out Point On',
+				description: 'Indicates the output will be paused at the out point.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [],
+				callback: () => this.loop.pause_at_out
+			},
+			delay_active: {
+				type: 'boolean',
+				name: 'Tape Delay Active',
+				description: 'Indicates tape-delay mode is holding a channel behind live.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [],
+				callback: () => this.delay.channel !== null
+			},
+			delay_out_of_tolerance: {
+				type: 'boolean',
+				name: 'Tape Delay Out of Tolerance',
+				description: 'Indicates the actual delay behind live has drifted beyond the tolerance.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [],
+				callback: () => this._is_delay_out_of_tolerance()
+			},
+			connection_state: {
+				type: 'boolean',
+				name: 'Connection State',
+				description: 'Indicates the connection to the device is in the selected state.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [
+					{
+						type: 'dropdown',
+						label: 'State',
+						id: 'state',
+						default: 'disconnected',
+						choices: [
+							{ id: 'connecting', label: 'Connecting' },
+							{ id: 'connected', label: 'Connected' },
+							{ id: 'stale', label: 'Stale (no updates)' },
+							{ id: 'disconnected', label: 'Disconnected' },
+							{ id: 'failed', label: 'Failed' }
+						]
+					}
+				],
+				callback: (feedback) => this.connection.state === feedback.options.state
+			},
+			message_age: {
+				type: 'boolean',
+				name: 'No Updates From Device',
+				description: 'Indicates the device has sent no updates for longer than the given time.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						type: 'textinput',
+						label: 'Seconds',
+						id: 'seconds',
+						default: '10',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: (feedback) => {
+					const age = this._get_message_age();
+					return age !== null && age > parseFloat(feedback.options.seconds);
+				}
+			},
+			rundown_current: {
+				type: 'boolean',
+				name: 'Rundown Item is Current',
+				description: 'Indicates this rundown item is the one currently loaded.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [
+					{
+						type: 'textinput',
+						label: 'Item Number',
+						id: 'item',
+						default: '1'
+					}
+				],
+				callback: (feedback) => parseInt(feedback.options.item) === this.rundown_index + 1
+			},
+			rundown_next: {
+				type: 'boolean',
+				name: 'Rundown Item is Next',
+				description: 'Indicates this rundown item will be loaded next.',
+				defaultStyle: {
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
+				},
+				options: [
+					{
+						type: 'textinput',
+						label: 'Item Number',
+						id: 'item',
+						default: '1'
+					}
+				],
+				callback: (feedback) => parseInt(feedback.options.item) === this.rundown_index + 2 && this.rundown_index + 1 in this.rundown
+			},
+			rundown_ending: {
+				type: 'boolean',
+				name: 'Rundown Item Ending',
+				description: 'Indicates the current rundown item has less than the given time left.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [
+					{
+						type: 'textinput',
+						label: 'Seconds Left',
+						id: 'seconds',
+						default: '10',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: (feedback) => {
+					const remaining = this._get_rundown_remaining();
+					return remaining !== null && remaining <= parseFloat(feedback.options.seconds);
+				}
+			},
+			rundown_auto_advance: {
+				type: 'boolean',
+				name: 'Rundown Auto Advance On',
+				description: 'Indicates the rundown will load the next item at the out point.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(51, 102, 0)
+				},
+				options: [],
+				callback: () => this.rundown_auto_advance
+			},
+			channel_error: {
+				type: 'boolean',
+				name: 'Channel Has Error',
+				description: 'Indicates the channel (or any channel) reports an error. The message is in the channel error variable.',
+				defaultStyle: {
+					color: combineRgb(255,255,255),
+					bgcolor: combineRgb(128, 0, 0)
+				},
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Channel ID',
+						id: 'channel',
+						default: '*',
+						choices: health_channels
+					}
+				],
+				callback: (feedback) => this._channel_health_matches(feedback.options.channel, health => health.state === 'error')
+			},
+			channel_stalled: {
+				type: 'boolean',
+				name: 'Channel Recording Stalled',
+				description: 'Indicates the channel (or any channel) was live, but has had no new recording for 15 seconds.',
 				defaultStyle: {
-					color: combineRgb(255,255,255),
-					bgcolor: combineRgb(51, 102, 0)
+					color: combineRgb(0, 0, 0),
+					bgcolor: combineRgb(255, 191, 0)
 				},
 				options: [
 					{
 						type: 'dropdown',
 						label: 'Channel ID',
 						id: 'channel',
-						choices: channels
+						default: '*',
+						choices: health_channels
 					}
 				],
-				callback: (feedback) => this.is_live(feedback.options.channel)
+				callback: (feedback) => this._channel_health_matches(feedback.options.channel, health => health.state === 'stalled')
 			},
-			active: {
+			channel_resumed: {
 				type: 'boolean',
-				name: 'Channel is Active',
-				description: 'Indicates this channel is currently active (playing/paused).',
+				name: 'Channel Recording Resumed',
+				description: 'Indicates the channel (or any channel) resumed recording after a stall, within the given time.',
 				defaultStyle: {
 					color: combineRgb(255,255,255),
 					bgcolor: combineRgb(51, 102, 0)
@@ -828,96 +4690,185 @@ class ConnectDvrInstance extends InstanceBase {
 						type: 'dropdown',
 						label: 'Channel ID',
 						id: 'channel',
-						choices: channels
+						default: '*',
+						choices: health_channels
+					},
+					{
+						type: 'textinput',
+						label: 'Seconds',
+						id: 'seconds',
+						default: '30',
+						regex: Regex.NUMBER
 					}
 				],
-				callback: (feedback) => feedback.options.channel == this.cur_channel
-			},
-			playing: {
-				type: 'boolean',
-				name: 'Output playing',
-				description: 'Indicates a channel is currently playing.',
-				options: [],
-				defaultStyle: {
-					color: combineRgb(255,255,255),
-					bgcolor: combineRgb(51, 102, 0)
-				},
-				callback: (feedback) => this.is_playing()
+				callback: (feedback) => this._channel_health_matches(feedback.options.channel, health => health.state === 'live' && health.resumed_at !== null && (new Date - health.resumed_at) / 1000 <= parseFloat(feedback.options.seconds))
 			},
-			stopped: {
+			near_live: {
 				type: 'boolean',
-				name: 'Output stopped',
-				description: 'Indicates a channel is currently stopped.',
-				options: [],
+				name: 'Output Near Live',
+				description: 'Indicates the output is playing a live channel within the given time of the live edge.',
 				defaultStyle: {
 					color: combineRgb(255,255,255),
-					bgcolor: combineRgb(128, 0, 0)
+					bgcolor: combineRgb(204, 0, 0)
 				},
-				callback: (feedback) => !this.is_playing()
+				options: [
+					{
+						type: 'textinput',
+						label: 'Seconds',
+						id: 'seconds',
+						default: '10',
+						regex: Regex.NUMBER
+					}
+				],
+				callback: (feedback) => {
+					const offset = this._get_live_offset();
+					return offset !== null && offset <= parseFloat(feedback.options.seconds);
+				}
 			},
-			cuepoint: {
+			progress: {
 				type: 'advanced',
-				name: 'Cue Point Slot Saved',
-				description: 'Indicates a cue point is saved.',
+				name: 'Playhead Progress Bar',
+				description: 'Progress bar of the playing time in the active channel, marking cuepoints and the live edge.',
 				options: [
 					{
-						type: 'colorpicker',
-						label: 'Foreground color',
-						id: 'fg',
-						default: combineRgb(255,255,255)
+						type: 'number',
+						label: 'Height (pixels)',
+						id: 'height',
+						default: 8,
+						min: 1,
+						max: 72
 					},
 					{
 						type: 'colorpicker',
 						label: 'Background color',
-						id: 'bg',
-						default: combineRgb(128, 0, 0)
+						id: 'bg_color',
+						default: combineRgb(51, 51, 51)
 					},
 					{
-						type: 'dropdown',
-						label: 'Use preview image if available?',
-						id: 'use_preview',
-						choices: [
-							{ id: '', label: 'No' },
-							{ id: 'image', label: 'Yes' }
-						]
+						type: 'colorpicker',
+						label: 'Played color',
+						id: 'played_color',
+						default: combineRgb(51, 153, 0)
+					},
+					{
+						type: 'colorpicker',
+						label: 'Cuepoint color',
+						id: 'cue_color',
+						default: combineRgb(255, 191, 0)
 					},
+					{
+						type: 'colorpicker',
+						label: 'Live edge color',
+						id: 'live_color',
+						default: combineRgb(204, 0, 0)
+					}
+				],
+				callback: (feedback) => this._get_progress_bar(feedback),
+				unsubscribe: (feedback) => {
+					this._progress_bars.delete(feedback.id);
+				}
+			},
+			channel_thumbnail: {
+				type: 'advanced',
+				name: 'Channel Thumbnail',
+				description: 'Latest frame of a channel, if the device provides channel thumbnails and experimental features are on. Refreshed every few seconds while in use.',
+				options: [
 					{
 						type: 'dropdown',
-						label: 'Cuepoint Slot',
-						id: 'cuepoint_id',
-						choices: this._get_allowed_cuepoints()
+						label: 'Channel ID',
+						id: 'channel',
+						choices: channels
 					}
 				],
 				callback: (feedback) => {
-					if(feedback.options.cuepoint_id in this.cuepoints) {
-						let ret = {
-							color: feedback.options.fg,
-							bgcolor: feedback.options.bg
-						};
-						this.log('debug', feedback.options.use_preview);
-						if(feedback.options.use_preview && feedback.options.use_preview === 'image' && this.cuepoints[feedback.options.cuepoint_id].image) {
-							ret.png64 = this.cuepoints[feedback.options.cuepoint_id].image;
-						}
-
-						return ret;
-					}
+					const image = this.channel_thumbnails[feedback.options.channel]?.image;
 
-					return {};
+					return image ? { png64: image } : {};
+				},
+				subscribe: (feedback) => {
+					this._thumbnail_subscriptions.set(feedback.id, feedback.options.channel);
+					this._start_thumbnail_refresh();
+				},
+				unsubscribe: (feedback) => {
+					this._thumbnail_subscriptions.delete(feedback.id);
 				}
 			},
 			previewpic: {
 				type: 'advanced',
 				name: 'Preview',
 				description: 'Preview output image',
-				options: [],
+				options: [
+					{
+						type: 'dropdown',
+						label: 'Output',
+						id: 'output',
+						default: 'player',
+						tooltip: 'Sizes and overlays are available for the first output.',
+						choices: outputs
+					},
+					{
+						type: 'dropdown',
+						label: 'Size',
+						id: 'size',
+						default: 'default',
+						choices: [
+							{ id: 'default', label: 'Wide (72x48)' },
+							{ id: 'full', label: 'Full button, stretched (72x72)' },
+							{ id: 'letterbox', label: 'Full button, letterboxed (72x72)' },
+							{ id: 'crop', label: 'Full button, cropped (72x72)' }
+						]
+					},
+					{
+						type: 'dropdown',
+						label: 'Time overlay',
+						id: 'time',
+						default: 'none',
+						choices: [
+							{ id: 'none', label: 'None' },
+							{ id: 'elapsed', label: 'Elapsed' },
+							{ id: 'remaining', label: 'Remaining' },
+							{ id: 'both', label: 'Elapsed and remaining' }
+						]
+					},
+					{
+						type: 'checkbox',
+						label: 'LIVE badge when the channel is live',
+						id: 'live_badge',
+						default: false
+					},
+					{
+						type: 'checkbox',
+						label: 'Progress bar',
+						id: 'progress',
+						default: false
+					}
+				],
 				callback: (feedback) => {
-					if(this.image) {
+					if((feedback.options.output ?? 'player') !== 'player') {
+						const output = this.outputs[feedback.options.output];
+						return output?.image ? { png64: output.image } : {};
+					}
+
+					const image = this._preview_renders[this._get_preview_key(feedback.options)];
+
+					if(image) {
+						return {
+							png64: image
+						};
+					} else if(this.image) {
 						return {
-							png64: this.image
+							png64: this.image.toString('base64')
 						};
 					} else {
 						return {};
 					}
+				},
+				subscribe: (feedback) => {
+					this._preview_subscriptions.set(feedback.id, this._get_preview_key(feedback.options));
+					this._render_previews();
+				},
+				unsubscribe: (feedback) => {
+					this._preview_subscriptions.delete(feedback.id);
 				}
 			}
 		};
@@ -927,6 +4878,175 @@ class ConnectDvrInstance extends InstanceBase {
 		this.checkFeedbacks(...Object.keys(feedbacks));
 	}
 
+	/**
+	 * Initialize presets, generated from the current channels and cuepoint slots
+	 * @access public
+	 * @since 2.1.0
+	 */
+	initPresets() {
+		const white = combineRgb(255, 255, 255);
+		const black = combineRgb(0, 0, 0);
+		const green = combineRgb(51, 102, 0);
+		const red = combineRgb(128, 0, 0);
+		let presets = {};
+
+		for(const id in this.channels) {
+			presets['channel_' + id] = {
+				type: 'button',
+				category: 'Channels',
+				name: 'Load ' + this.channels[id].name,
+				style: {
+					text: this.channels[id].name,
+					size: 'auto',
+					color: white,
+					bgcolor: black
+				},
+				steps: [{
+					down: [{ actionId: 'channel', options: { channel: id, initial_time: '' } }],
+					up: []
+				}],
+				feedbacks: [
+					{ feedbackId: 'streaming', options: { channel: id }, style: { color: white, bgcolor: red } },
+					{ feedbackId: 'active', options: { channel: id }, style: { color: white, bgcolor: green } }
+				]
+			};
+		}
+
+		const transport = {
+			playpause: { name: 'Play/Pause Toggle', text: 'PLAY/\nPAUSE', options: {} },
+			play: { name: 'Play', text: 'PLAY', options: {} },
+			pause: { name: 'Pause', text: 'PAUSE', options: {} },
+			skip_back: { name: 'Skip backward 5 seconds', text: 'BACK\n5s', actionId: 'skip', options: { skip_time: -5 } },
+			skip_forward: { name: 'Skip forward 5 seconds', text: 'FWD\n5s', actionId: 'skip', options: { skip_time: 5 } }
+		};
+		for(const key in transport) {
+			presets[key] = {
+				type: 'button',
+				category: 'Transport',
+				name: transport[key].name,
+				style: {
+					text: transport[key].text,
+					size: '14',
+					color: white,
+					bgcolor: black
+				},
+				steps: [{
+					down: [{ actionId: transport[key].actionId ?? key, options: transport[key].options }],
+					up: []
+				}],
+				feedbacks: [
+					{ feedbackId: 'stopped', options: {}, style: { color: white, bgcolor: red } },
+					{ feedbackId: 'playing', options: {}, style: { color: white, bgcolor: green } }
+				]
+			};
+		}
+
+		presets['preview'] = {
+			type: 'button',
+			category: 'Transport',
+			name: 'Preview',
+			style: {
+				text: '',
+				size: 'auto',
+				color: white,
+				bgcolor: black
+			},
+			steps: [{ down: [], up: [] }],
+			feedbacks: [
+				{ feedbackId: 'previewpic', options: {} }
+			]
+		};
+
+		presets['jog'] = {
+			type: 'button',
+			category: 'Transport',
+			name: 'Jog dial (press for fine/coarse)',
+			options: {
+				rotaryActions: true
+			},
+			style: {
+				text: `JOG\n$(${this.label}:jog_target)`,
+				size: '14',
+				color: white,
+				bgcolor: black
+			},
+			steps: [{
+				down: [{ actionId: 'jog_mode', options: { mode: 'toggle' } }],
+				up: [],
+				rotate_left: [{ actionId: 'jog', options: { direction: -1, fine_step: 1, coarse_step: 30 } }],
+				rotate_right: [{ actionId: 'jog', options: { direction: 1, fine_step: 1, coarse_step: 30 } }]
+			}],
+			feedbacks: [
+				{ feedbackId: 'jog_coarse', options: {}, style: { color: black, bgcolor: combineRgb(255, 191, 0) } }
+			]
+		};
+
+		const selection = {
+			select_previous: { name: 'Select Previous Channel', text: 'PREV' },
+			select_next: { name: 'Select Next Channel', text: 'NEXT' },
+			take: { name: 'Take Selected Channel', text: `TAKE\n$(${this.label}:selected_channel)`, options: { initial_time: '' } }
+		};
+		for(const key in selection) {
+			presets[key] = {
+				type: 'button',
+				category: 'Selection',
+				name: selection[key].name,
+				style: {
+					text: selection[key].text,
+					size: key === 'take' ? 'auto' : '14',
+					color: white,
+					bgcolor: black
+				},
+				steps: [{
+					down: [{ actionId: key, options: selection[key].options ?? {} }],
+					up: []
+				}],
+				feedbacks: []
+			};
+		}
+
+		this._get_allowed_cuepoints().forEach((slot) => {
+			presets['set_cuepoint_' + slot.id] = {
+				type: 'button',
+				category: 'Cue Points',
+				name: 'Set ' + slot.label,
+				style: {
+					text: `SET ${slot.id}\n$(${this.label}:cuepoint_${slot.id}_label)`,
+					size: '14',
+					color: white,
+					bgcolor: black
+				},
+				steps: [{
+					down: [{ actionId: 'set_cuepoint', options: { cuepoint_id: slot.id, label: '' } }],
+					up: []
+				}],
+				feedbacks: [
+					{ feedbackId: 'cuepoint', options: { fg: white, bg: red, use_preview: '', cuepoint_id: slot.id } }
+				]
+			};
+			presets['recall_cuepoint_' + slot.id] = {
+				type: 'button',
+				category: 'Cue Points',
+				name: 'Recall ' + slot.label,
+				style: {
+					text: `$(${this.label}:cuepoint_${slot.id}_label)\n$(${this.label}:cuepoint_${slot.id}_time)`,
+					size: '14',
+					color: white,
+					bgcolor: black
+				},
+				steps: [{
+					down: [{ actionId: 'recall_cuepoint', options: { cuepoint_id: slot.id, play_state: 'pause' } }],
+					up: []
+				}],
+				feedbacks: [
+					{ feedbackId: 'cuepoint', options: { fg: white, bg: green, use_preview: 'image', cuepoint_id: slot.id } }
+				]
+			};
+		});
+
+		this.setPresetDefinitions(presets);
+	}
+
 	async get_latest_image() {
 		if(this._image_refresh) {
 			clearTimeout(this._image_refresh);
@@ -943,9 +5063,12 @@ class ConnectDvrInstance extends InstanceBase {
 		}
 
 		jimp.read({
-			url: 'https://' + this.config.host + '/' + image_location,
-			rejectUnauthorized: false
+			url: this._get_url('/' + image_location),
+			...this.tls
 		}).then(image => {
+			this._set_preview_source(image.clone());
+			this._render_previews();
+
 			image.resize(72, 48)
 				.getBufferAsync(jimp.MIME_PNG)
 				.then(buff => {
@@ -959,16 +5082,294 @@ class ConnectDvrInstance extends InstanceBase {
 		})
 	}
 
+	/**
+	 * Start pulling the thumbnails of channels shown on buttons, if not already running
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_start_thumbnail_refresh() {
+		if(this._thumbnail_refresh === null) {
+			this._thumbnail_refresh = setTimeout(this._refresh_channel_thumbnail.bind(this), 0);
+		}
+	}
+
+	/**
+	 * Stop pulling channel thumbnails
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_stop_thumbnail_refresh() {
+		if(this._thumbnail_refresh !== null) {
+			clearTimeout(this._thumbnail_refresh);
+			this._thumbnail_refresh = null;
+		}
+	}
+
+	/**
+	 * Pull the most out of date thumbnail of the channels in use, then schedule the next one
+	 * Stops once no feedbacks use channel thumbnails.
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _refresh_channel_thumbnail() {
+		const in_use = new Set(this._thumbnail_subscriptions.values());
+
+		if(in_use.size === 0) {
+			this._thumbnail_refresh = null;
+			return;
+		}
+
+		let oldest = null;
+		for(const id of in_use) {
+			const fetched_at = this.channel_thumbnails[id]?.fetched_at ?? 0;
+
+			if(this._get_thumbnail_location(id) && (Date.now() - fetched_at) >= this.CHANNEL_THUMBNAIL_REFRESH && (oldest === null || fetched_at < (this.channel_thumbnails[oldest]?.fetched_at ?? 0))) {
+				oldest = id;
+			}
+		}
+
+		if(oldest !== null && this.socket !== undefined) {
+			await this._fetch_channel_thumbnail(oldest);
+		}
+
+		this._thumbnail_refresh = setTimeout(this._refresh_channel_thumbnail.bind(this), this.CHANNEL_THUMBNAIL_INTERVAL);
+	}
+
+	/**
+	 * Returns the location of a channel's thumbnail on the device, if it sends one
+	 * The thumbnail field is assumed to be a path like the player's image_primary; it is not confirmed on a device yet, so it is only used with experimental features on.
+	 * @param {String} id ID of the channel
+	 * @returns {String|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_thumbnail_location(id) {
+		if(!this.config.experimental) {
+			return null;
+		}
+
+		const location = this.channels[id]?.thumbnail;
+
+		return typeof location === 'string' && location !== '' ? location : null;
+	}
+
+	/**
+	 * Pull and resize a channel's thumbnail
+	 * @param {String} id ID of the channel
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _fetch_channel_thumbnail(id) {
+		this.channel_thumbnails[id] = {...this.channel_thumbnails[id], fetched_at: Date.now()};
+
+		await jimp.read({
+			url: this._get_url('/' + this._get_thumbnail_location(id)),
+			...this.tls
+		}).then(image => image.resize(72, 48).getBufferAsync(jimp.MIME_PNG))
+		.then(buff => {
+			this.channel_thumbnails[id].image = buff.toString('base64');
+
+			const feedback_ids = [...this._thumbnail_subscriptions]
+				.filter(([, channel]) => channel === id)
+				.map(([feedback_id]) => feedback_id);
+			this.checkFeedbacksById(...feedback_ids);
+		}).catch(err => {
+			this.log('debug', `Error processing thumbnail for channel ${id}: ${err.message ?? err}`);
+		});
+	}
+
 	setImage(image) {
 		this.image = image;
+		if(image === null) {
+			this._set_preview_source(null);
+		}
 
-		if(this.is_playing()) {
-			this._image_refresh = setTimeout(this.get_latest_image.bind(this), this.PREVIEW_REFRESH);
+		if(this.is_playing() || this.config.preview_refresh_paused) {
+			this._image_refresh = setTimeout(this.get_latest_image.bind(this), this._get_config_number('preview_refresh', this.PREVIEW_REFRESH));
 		}
 
 		return this;
 	}
 
+	/**
+	 * Set the full size preview image, forgetting everything rendered from the previous one
+	 * @param {Jimp|null} image
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_set_preview_source(image) {
+		this._preview_source = image;
+		this._preview_sizes = {};
+		this._preview_render_overlays = {};
+		if(image === null) {
+			this._preview_renders = {};
+		}
+	}
+
+	/**
+	 * Returns the key for the preview rendered for feedback options
+	 * @param {Object} options Feedback options
+	 * @returns {String}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_preview_key(options) {
+		return JSON.stringify({
+			size: options.size ?? 'default',
+			time: options.time ?? 'none',
+			live_badge: options.live_badge ?? false,
+			progress: options.progress ?? false
+		});
+	}
+
+	/**
+	 * Render the preview for every set of feedback options in use
+	 * @param {Boolean} overlays_only Only render if an overlay is in use, as only the overlays have changed
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _render_previews(overlays_only = false) {
+		const keys = new Set(this._preview_subscriptions.values());
+
+		if(this._preview_source === null || keys.size === 0) {
+			return;
+		}
+		if(overlays_only && ![...keys].some(key => {
+			const options = JSON.parse(key);
+			return options.time !== 'none' || options.live_badge || options.progress;
+		})) {
+			return;
+		}
+		if(this._preview_rendering) {
+			this._preview_render_pending = true;
+			return;
+		}
+
+		this._preview_rendering = true;
+		try {
+			if(this._preview_font === null) {
+				this._preview_font = await jimp.loadFont(jimp.FONT_SANS_8_WHITE);
+			}
+
+			let renders = {};
+			let overlays = {};
+			let changed = false;
+			for(const key of keys) {
+				const options = JSON.parse(key);
+				overlays[key] = JSON.stringify(this._get_preview_overlays(options));
+
+				if(key in this._preview_renders && this._preview_render_overlays[key] === overlays[key]) {
+					renders[key] = this._preview_renders[key];
+				} else {
+					renders[key] = await this._render_preview(options);
+					changed = true;
+				}
+			}
+			this._preview_renders = renders;
+			this._preview_render_overlays = overlays;
+			if(changed) {
+				this.checkFeedbacks('previewpic');
+			}
+		} catch(err) {
+			this.log('debug', 'Error rendering preview image: ' + err.message);
+		}
+		this._preview_rendering = false;
+
+		if(this._preview_render_pending) {
+			this._preview_render_pending = false;
+			this._render_previews();
+		}
+	}
+
+	/**
+	 * Returns the overlays to draw on a preview, as they are drawn
+	 * @param {Object} options time, live_badge and progress
+	 * @returns {Object} lines of text, live badge and pixels of the progress bar filled (null for no bar)
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_preview_overlays(options) {
+		const duration = this.channels[this.cur_channel]?.duration ?? 0;
+		const elapsed = this.cur_time ?? 0;
+
+		let lines = [];
+		if(options.time === 'elapsed' || options.time === 'both') {
+			lines.push(this._userFriendlyTime(elapsed));
+		}
+		if(options.time === 'remaining' || options.time === 'both') {
+			lines.push('-' + this._userFriendlyTime(Math.max(0, duration - elapsed)));
+		}
+
+		return {
+			lines: lines,
+			live: !!options.live_badge && this.is_live(this.cur_channel),
+			filled: options.progress && duration > 0 ? Math.round(72 * Math.min(1, elapsed / duration)) : null
+		};
+	}
+
+	/**
+	 * Returns the preview resized to a size, resizing it only once for each preview image
+	 * @param {String} size default, full, letterbox or crop
+	 * @returns {Jimp}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_preview_size(size) {
+		if(!(size in this._preview_sizes)) {
+			const image = this._preview_source.clone();
+
+			switch(size) {
+				case 'full':
+					image.resize(72, 72);
+					break;
+				case 'letterbox':
+					image.background(0x000000ff).contain(72, 72);
+					break;
+				case 'crop':
+					image.cover(72, 72);
+					break;
+				default:
+					image.resize(72, 48);
+			}
+			this._preview_sizes[size] = image;
+		}
+
+		return this._preview_sizes[size];
+	}
+
+	/**
+	 * Render the preview at a size, with overlays
+	 * @param {Object} options size, time, live_badge and progress
+	 * @returns {Promise<String>} PNG in base64
+	 * @access private
+	 * @since 2.1.0
+	 */
+	async _render_preview(options) {
+		const image = this._get_preview_size(options.size).clone();
+		const width = image.bitmap.width;
+		const height = image.bitmap.height;
+		const overlays = this._get_preview_overlays(options);
+
+		overlays.lines.forEach((line, i) => {
+			image.composite(new jimp(width, 10, 0x000000aa), 0, i * 10);
+			image.print(this._preview_font, 2, i * 10, line);
+		});
+
+		if(overlays.live) {
+			image.composite(new jimp(22, 10, 0xcc0000ff), width - 22, 0);
+			image.print(this._preview_font, width - 20, 0, 'LIVE');
+		}
+
+		if(overlays.filled !== null) {
+			image.composite(new jimp(width, 4, 0x333333ff), 0, height - 4);
+			if(overlays.filled > 0) {
+				image.composite(new jimp(overlays.filled, 4, 0x339900ff), 0, height - 4);
+			}
+		}
+
+		return (await image.getBufferAsync(jimp.MIME_PNG)).toString('base64');
+	}
+
 	/**
 	 * Logout of device
 	 * @access public
@@ -981,10 +5382,8 @@ class ConnectDvrInstance extends InstanceBase {
 			return;
 		}
 
-		await got.delete(`https://${this.config.host}/api/session`, {
-			https: {
-				rejectUnauthorized: false,
-			},
+		await got.delete(this._get_url('/api/session'), {
+			...this._get_got_tls_options(),
 			headers: {
 				Cookie: 'sessionID=' + this.session_id
 			},
@@ -1005,6 +5404,15 @@ class ConnectDvrInstance extends InstanceBase {
 		if(this._image_refresh) {
 			clearTimeout(this._image_refresh);
 		}
+		this._stop_watchdog();
+		this._stop_status_poll();
+		for(const id in this.outputs) {
+			clearTimeout(this.outputs[id].image_refresh);
+		}
+		this.connection.last_message = null;
+		this.setVariableValues({
+			last_message_age: ''
+		});
 
 		if(this.socket !== undefined) {
 			this.socket.close();
@@ -1018,7 +5426,16 @@ class ConnectDvrInstance extends InstanceBase {
 	 */
 	async destroy() {
 		this._stopOldLogin();
+		this._stop_thumbnail_refresh();
+		this._stop_feedback_variables_refresh();
+		this._stop_jog();
+		this._disarm();
 		await this.logout();
+
+		if(this.simulator) {
+			await this.simulator.stop();
+			this.simulator = null;
+		}
 	}
 }
 
@@ -0,0 +1,63 @@
+/**
+ * Parsers for times entered by users
+ * Kept apart from the module class, so they can be tested without a running instance.
+ * @since 2.1.0
+ */
+
+/**
+ * Converts SS, MM:SS or HH:MM:SS (with optional fractional seconds and sign) to seconds
+ * @param {String} formatted_time
+ * @returns {Float|String} Seconds, empty string if empty or NaN if invalid
+ * @since 2.1.0
+ */
+export function toSeconds(formatted_time) {
+	if(formatted_time === '') return '';
+
+	const match = /^\s*([+-])?\s*(?:(?:(\d+):)?(\d+):)?(\d+(?:\.\d*)?|\.\d+)\s*$/.exec(String(formatted_time));
+	if(!match) {
+		return NaN;
+	}
+
+	const time = parseInt(match[2] ?? 0) * 3600 + parseInt(match[3] ?? 0) * 60 + parseFloat(match[4]);
+
+	return match[1] === '-' ? -time : time;
+}
+
+/**
+ * Resolves a time expression to seconds
+ * Supports absolute times, +/- relative to the current time, live+/- relative to the live edge, end+/- relative to the duration and percentages of the duration.
+ * @param {String} expression
+ * @param {Object} channel What relative times are from
+ * @param {Float|null} channel.cur_time Current time, null if not playing
+ * @param {Float} [channel.duration] Duration of the channel, undefined if not on the device
+ * @param {Float} [channel.live_edge] Estimated live edge of the channel, undefined if not on the device
+ * @returns {Float|String} Seconds, empty string if empty or NaN if invalid
+ * @since 2.1.0
+ */
+export function resolveTime(expression, { cur_time = null, duration, live_edge } = {}) {
+	expression = String(expression).trim().toLowerCase();
+
+	if(expression === '') {
+		return '';
+	}
+
+	let time;
+	let match;
+
+	if((match = /^(\d+(?:\.\d*)?)\s*%$/.exec(expression))) {
+		time = duration * parseFloat(match[1]) / 100;
+	} else if((match = /^(live|end)\s*(?:([+-].*))?$/.exec(expression))) {
+		const base = match[1] === 'live' ? live_edge : duration;
+		time = base + (match[2] ? toSeconds(match[2]) : 0);
+	} else if(/^[+-]/.test(expression)) {
+		time = cur_time === null ? NaN : cur_time + toSeconds(expression);
+	} else {
+		time = toSeconds(expression);
+	}
+
+	if(typeof time !== 'number' || isNaN(time)) {
+		return NaN;
+	}
+
+	return Math.max(0, time);
+}
@@ -0,0 +1,497 @@
+import http from 'http';
+import crypto from 'crypto';
+import socketio from 'socket.io';
+import jimp from 'jimp';
+
+/**
+ * In-process emulator of a Haivision Connect DVR, used for offline setup and testing
+ * Emulates the /api/session and /api/settings REST endpoints and the /transport/socket.io/ protocol.
+ * Simulates a dual-output unit; the second output is sent as player2 and addressed with index 1 in commands.
+ * Usernames containing operator (such as the default haioperator) give an operator session, which may not reboot; any other username is an administrator.
+ * @since 2.1.0
+ */
+export default class ConnectDvrSimulator {
+	constructor(log = () => {}) {
+		this.log = log;
+
+		this.TICK_TIME = 1000; // Playback time is sent every x millisec
+		this.CHANNEL_UPDATE_TIME = 5000; // Channel durations are sent every x millisec, like the device
+		this.FIRMWARE_VERSION = '3.0.0-sim';
+		this.STORAGE_TOTAL = 500e9; // Bytes
+		this.STORAGE_BASE = 400e9; // Bytes used by recordings not listed as channels
+		this.RECORDING_RATE = 1e6; // Bytes per second of recording
+		this.IMAGE_LOCATION = 'assets/img/live_screenshot_primary.jpg';
+		this.OUTPUT_IMAGE_LOCATION = 'assets/img/live_screenshot_'; // Followed by the output ID, for outputs other than the first
+		this.THUMBNAIL_LOCATION = 'assets/img/channel/';
+
+		this.port = null;
+		this.server = null;
+		this.io = null;
+		this.sessions = new Map(); // Session ID -> role
+		this.started = null;
+		this._timers = [];
+		this._font = null;
+
+		this._reset();
+	}
+
+	/**
+	 * Resets the emulated device to its power-on state
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_reset() {
+		this.channels = {
+			sim_live_1: { id: 'sim_live_1', name: 'Simulated Live 1', duration: 3600, cloud_duration: 3600, live: true, color: 0x1f4e79ff },
+			sim_live_2: { id: 'sim_live_2', name: 'Simulated Live 2', duration: 600, cloud_duration: 600, live: true, color: 0x385723ff },
+			sim_recording: { id: 'sim_recording', name: 'Simulated Recording', duration: 5400, cloud_duration: 5400, live: false, color: 0x7f6000ff },
+			sim_error: { id: 'sim_error', name: 'Simulated Error', duration: 0, cloud_duration: 0, live: false, color: 0x800000ff, error: { message: 'No input signal' } }
+		};
+		this.players = {};
+		for(const id of ['player', 'player2']) {
+			this.players[id] = {
+				active_channel_id: null,
+				time: 0,
+				playing: false,
+				image_primary: id === 'player' ? this.IMAGE_LOCATION : this.OUTPUT_IMAGE_LOCATION + id + '.jpg'
+			};
+		}
+	}
+
+	/**
+	 * Returns the output a command is for
+	 * @param {Number} index Output index sent with the command, -1 or missing for the first output
+	 * @returns {String|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_output_id(index) {
+		const id = (index === undefined || index === null || index < 1) ? 'player' : 'player' + (index + 1);
+
+		return id in this.players ? id : null;
+	}
+
+	/**
+	 * Start the emulator on a random local port
+	 * @returns {Promise<Number>} Port the emulator is listening on
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async start() {
+		this.server = http.createServer(this._handle_request.bind(this));
+		this.io = socketio(this.server, {
+			path: '/transport/socket.io/',
+			serveClient: false,
+			transports: ['websocket']
+		});
+		this.io.on('connection', this._handle_socket.bind(this));
+
+		await new Promise((resolve, reject) => {
+			this.server.once('error', reject);
+			this.server.listen(0, '127.0.0.1', resolve);
+		});
+		this.port = this.server.address().port;
+		this.started = new Date();
+
+		this._timers.push(
+			setInterval(this._tick.bind(this), this.TICK_TIME),
+			setInterval(this._channel_tick.bind(this), this.CHANNEL_UPDATE_TIME)
+		);
+
+		this.log('info', 'Simulated Connect DVR listening on port ' + this.port + '.');
+		return this.port;
+	}
+
+	/**
+	 * Stop the emulator
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async stop() {
+		this._timers.forEach(timer => clearInterval(timer));
+		this._timers = [];
+
+		if(this.io) {
+			this.io.close();
+			this.io = null;
+		}
+		if(this.server) {
+			this.server.close();
+			this.server = null;
+		}
+		this.port = null;
+	}
+
+	/**
+	 * Handle the REST API
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_handle_request(req, res) {
+		let body = '';
+
+		req.on('data', chunk => body += chunk);
+		req.on('end', () => this._route_request(req, res, body));
+	}
+
+	/**
+	 * Route a REST API request, once its body has been received
+	 * @param {http.IncomingMessage} req
+	 * @param {http.ServerResponse} res
+	 * @param {String} body
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_route_request(req, res, body) {
+		const path = req.url.split('?')[0];
+		const session_id = this._get_session_id(req.headers.cookie);
+
+		if(path === '/api/session' && req.method === 'POST') {
+			let username = '';
+			try {
+				username = JSON.parse(body).username ?? '';
+			} catch(e) {
+				// Logins without a body are administrators
+			}
+
+			const new_session_id = crypto.randomBytes(16).toString('hex');
+			this.sessions.set(new_session_id, /operator/i.test(username) ? 'Operator' : 'Administrator');
+			this._send_json(res, 200, { response: { sessionID: new_session_id } });
+		} else if(path === '/api/session' && req.method === 'GET') {
+			if(this.sessions.has(session_id)) {
+				this._send_json(res, 200, { response: { sessionID: session_id, role: this.sessions.get(session_id) } });
+			} else {
+				this._send_json(res, 401, { error: 'Not logged in' });
+			}
+		} else if(path === '/api/session' && req.method === 'DELETE') {
+			this.sessions.delete(session_id);
+			this._send_json(res, 200, {});
+		} else if(path === '/api/settings/about' && req.method === 'GET') {
+			if(this.sessions.has(session_id)) {
+				this._send_json(res, 200, { response: { version: this.FIRMWARE_VERSION } });
+			} else {
+				this._send_json(res, 401, { error: 'Not logged in' });
+			}
+		} else if(path === '/api/settings/status' && req.method === 'GET') {
+			if(this.sessions.has(session_id)) {
+				this._send_json(res, 200, { response: this._get_status() });
+			} else {
+				this._send_json(res, 401, { error: 'Not logged in' });
+			}
+		} else if(path === '/api/settings/reboot' && req.method === 'PUT') {
+			if(!this.sessions.has(session_id)) {
+				this._send_json(res, 401, { error: 'Not logged in' });
+			} else if(this.sessions.get(session_id) !== 'Administrator') {
+				this._send_json(res, 403, { error: 'Forbidden' });
+			} else {
+				this._send_json(res, 200, {});
+				this.reboot();
+			}
+		} else if(path === '/' + this.IMAGE_LOCATION && req.method === 'GET') {
+			this._send_image(res, this.get_screenshot());
+		} else if(path.startsWith('/' + this.OUTPUT_IMAGE_LOCATION) && req.method === 'GET') {
+			const output = this.players[path.substring(this.OUTPUT_IMAGE_LOCATION.length + 1).replace(/\.jpg$/, '')];
+
+			if(output) {
+				this._send_image(res, this.get_screenshot(output.active_channel_id, output.time));
+			} else {
+				this._send_json(res, 404, { error: 'Not found' });
+			}
+		} else if(path.startsWith('/' + this.THUMBNAIL_LOCATION) && req.method === 'GET') {
+			const id = decodeURIComponent(path.substring(this.THUMBNAIL_LOCATION.length + 1)).replace(/\.jpg$/, '');
+
+			if(id in this.channels) {
+				this._send_image(res, this.get_screenshot(id, this.channels[id].duration));
+			} else {
+				this._send_json(res, 404, { error: 'Not found' });
+			}
+		} else {
+			this._send_json(res, 404, { error: 'Not found' });
+		}
+	}
+
+	/**
+	 * Returns the system status, with storage growing as live channels record
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_status() {
+		const recorded = Object.values(this.channels).reduce((total, channel) => total + channel.duration, 0);
+		const used = Math.min(this.STORAGE_TOTAL, this.STORAGE_BASE + recorded * this.RECORDING_RATE);
+
+		return {
+			version: this.FIRMWARE_VERSION,
+			uptime: Math.floor((new Date - this.started) / 1000),
+			storage: {
+				total: this.STORAGE_TOTAL,
+				used: used,
+				free: this.STORAGE_TOTAL - used
+			},
+			network: {
+				hostname: 'connectdvr-sim',
+				ip_address: '127.0.0.1'
+			}
+		};
+	}
+
+	/**
+	 * Send a generated image
+	 * @param {http.ServerResponse} res
+	 * @param {Promise<Buffer>} image
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_send_image(res, image) {
+		image
+			.then(buff => {
+				res.writeHead(200, { 'Content-Type': jimp.MIME_JPEG });
+				res.end(buff);
+			})
+			.catch(e => this._send_json(res, 500, { error: e.message }));
+	}
+
+	/**
+	 * Send a JSON response
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_send_json(res, status, data) {
+		res.writeHead(status, { 'Content-Type': 'application/json' });
+		res.end(JSON.stringify(data));
+	}
+
+	/**
+	 * Returns the session ID from a cookie header
+	 * @param {String} cookie
+	 * @returns {String|null}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_session_id(cookie) {
+		return /sessionID=([^;\s]+)/.exec(cookie ?? '')?.[1] ?? null;
+	}
+
+	/**
+	 * Handle a new socket connection
+	 * @param {Object} socket
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_handle_socket(socket) {
+		if(!this.sessions.has(this._get_session_id(socket.request.headers.cookie))) {
+			socket.emit('logout');
+			socket.disconnect(true);
+			return;
+		}
+
+		socket.on('sendAndCallback2', (command, ...args) => {
+			const callback = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+
+			switch(command) {
+				case 'playback:loadChannel':
+					this.load_channel(args[0], args[1], this._get_output_id(args[3]));
+					break;
+				case 'playback:togglePlayState':
+					this.toggle_play_state(this._get_output_id(args[0]));
+					break;
+				default:
+					this.log('debug', 'Simulator ignoring unknown command ' + command);
+			}
+
+			if(callback) {
+				callback();
+			}
+		});
+
+		socket.emit('data:init', this._get_init_data());
+	}
+
+	/**
+	 * Returns the data sent to a new socket connection
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_init_data() {
+		let data = {
+			channel: Object.keys(this.channels)
+		};
+
+		for(const id in this.players) {
+			data[id] = {...this.players[id]};
+		}
+
+		for(const id in this.channels) {
+			data[id] = this._get_channel_data(id);
+		}
+		return data;
+	}
+
+	/**
+	 * Returns the channel as the device sends it
+	 * @param {String} id
+	 * @returns {Object}
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_get_channel_data(id) {
+		const channel = {...this.channels[id], thumbnail: this.THUMBNAIL_LOCATION + encodeURIComponent(id) + '.jpg'};
+
+		// Only used by the simulator
+		delete channel.color;
+		delete channel.live;
+		return channel;
+	}
+
+	/**
+	 * Send a model update to all connected sockets
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_delta(type, args) {
+		if(this.io) {
+			this.io.emit('model:delta', type, args);
+		}
+	}
+
+	/**
+	 * Load a channel to a simulated output
+	 * @param {String} id
+	 * @param {Number} init_time
+	 * @param {String} output ID of the output
+	 * @access public
+	 * @since 2.1.0
+	 */
+	load_channel(id, init_time, output = 'player') {
+		const player = this.players[output];
+
+		if(!(id in this.channels) || !player) {
+			return;
+		}
+
+		const time = parseFloat(init_time);
+		player.active_channel_id = id;
+		player.time = Math.min(isNaN(time) ? 0 : Math.max(0, time), this.channels[id].duration);
+		player.playing = !this.channels[id].error;
+
+		this._delta(output, {
+			active_channel_id: id,
+			time: player.time,
+			playing: player.playing,
+			image_primary: player.image_primary
+		});
+	}
+
+	/**
+	 * Toggle the play state of a simulated output
+	 * @param {String} output ID of the output
+	 * @access public
+	 * @since 2.1.0
+	 */
+	toggle_play_state(output = 'player') {
+		const player = this.players[output];
+
+		if(!player || player.active_channel_id === null) {
+			return;
+		}
+
+		player.playing = !player.playing;
+		this._delta(output, { playing: player.playing });
+	}
+
+	/**
+	 * Simulates a reboot, ending all sessions
+	 * @access public
+	 * @since 2.1.0
+	 */
+	reboot() {
+		this.log('info', 'Simulated Connect DVR rebooting.');
+		this.sessions.clear();
+		if(this.io) {
+			Object.values(this.io.sockets.connected).forEach(socket => socket.disconnect(true));
+		}
+		this._reset();
+		this.started = new Date();
+	}
+
+	/**
+	 * Advance the playback time
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_tick() {
+		for(const id in this.players) {
+			const player = this.players[id];
+
+			if(!player.playing) {
+				continue;
+			}
+
+			const duration = this.channels[player.active_channel_id].duration;
+			player.time = Math.min(player.time + this.TICK_TIME / 1000, duration);
+
+			if(player.time >= duration) {
+				player.playing = false;
+				this._delta(id, { time: player.time, playing: false });
+			} else {
+				this._delta(id, { time: player.time });
+			}
+		}
+	}
+
+	/**
+	 * Grow the durations of live channels and send the channel updates
+	 * @access private
+	 * @since 2.1.0
+	 */
+	_channel_tick() {
+		for(const id in this.channels) {
+			const channel = this.channels[id];
+
+			if(channel.live) {
+				channel.duration += this.CHANNEL_UPDATE_TIME / 1000;
+				channel.cloud_duration = channel.duration;
+				this._delta(id, { duration: channel.duration, cloud_duration: channel.cloud_duration });
+			} else {
+				this._delta(id, { cloud_duration: channel.cloud_duration });
+			}
+		}
+	}
+
+	/**
+	 * Generates a screenshot of a channel, by default of the first simulated output
+	 * @param {String} id ID of the channel
+	 * @param {Number} time Time in the channel
+	 * @returns {Promise<Buffer>}
+	 * @access public
+	 * @since 2.1.0
+	 */
+	async get_screenshot(id = this.players.player.active_channel_id, time = this.players.player.time) {
+		if(!this._font) {
+			this._font = await jimp.loadFont(jimp.FONT_SANS_32_WHITE);
+		}
+
+		const channel = this.channels[id];
+		const image = new jimp(640, 360, channel?.color ?? 0x000000ff);
+		const seconds = Math.floor(time);
+		const timecode = new Date(1000 * seconds).toISOString().substr(11, 8);
+
+		image.print(this._font, 0, 0, {
+			text: channel?.name ?? 'No channel loaded',
+			alignmentX: jimp.HORIZONTAL_ALIGN_CENTER,
+			alignmentY: jimp.VERTICAL_ALIGN_BOTTOM
+		}, 640, 170);
+		if(channel) {
+			image.print(this._font, 0, 190, {
+				text: timecode,
+				alignmentX: jimp.HORIZONTAL_ALIGN_CENTER,
+				alignmentY: jimp.VERTICAL_ALIGN_TOP
+			}, 640, 170);
+		}
+
+		return image.getBufferAsync(jimp.MIME_JPEG);
+	}
+}
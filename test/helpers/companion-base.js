@@ -0,0 +1,59 @@
+/**
+ * Stand-in for @companion-module/base that records what the module reports to Companion
+ * runEntrypoint() only works with a running Companion, so it exposes the instance class instead.
+ */
+export { Regex, combineRgb, CreateConvertToBooleanFeedbackUpgradeScript } from '@companion-module/base';
+
+export let ModuleClass = null;
+
+export function runEntrypoint(cls) {
+	ModuleClass = cls;
+}
+
+export class InstanceBase {
+	constructor() {
+		this.logs = [];
+		this.statuses = [];
+		this.variables = {};
+		this.action_definitions = {};
+		this.feedback_definitions = {};
+	}
+
+	log(level, message) {
+		this.logs.push({ level, message });
+	}
+
+	updateStatus(status, message = null) {
+		this.statuses.push({ status, message });
+	}
+
+	get status() {
+		return this.statuses[this.statuses.length - 1] ?? null;
+	}
+
+	setVariableDefinitions() {}
+
+	setVariableValues(values) {
+		Object.assign(this.variables, values);
+	}
+
+	setActionDefinitions(definitions) {
+		this.action_definitions = definitions;
+	}
+
+	setFeedbackDefinitions(definitions) {
+		this.feedback_definitions = definitions;
+	}
+
+	setPresetDefinitions() {}
+
+	checkFeedbacks() {}
+
+	checkFeedbacksById() {}
+
+	saveConfig() {}
+
+	async parseVariablesInString(text) {
+		return String(text ?? '');
+	}
+}
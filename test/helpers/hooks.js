@@ -0,0 +1,14 @@
+/**
+ * Module resolution hooks that load the module against a stand-in for the Companion host
+ * Registered with module.register() before index.js is imported.
+ */
+const STUB_URL = new URL('./companion-base.js', import.meta.url).href;
+
+export async function resolve(specifier, context, next) {
+	// The stand-in itself re-exports the real helpers from the package
+	if(specifier === '@companion-module/base' && context.parentURL !== STUB_URL) {
+		return { url: STUB_URL, shortCircuit: true };
+	}
+
+	return next(specifier, context);
+}
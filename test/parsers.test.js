@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toSeconds, resolveTime } from '../parsers.js';
+
+test('toSeconds converts SS, MM:SS and HH:MM:SS', () => {
+	assert.equal(toSeconds('45'), 45);
+	assert.equal(toSeconds('1:30'), 90);
+	assert.equal(toSeconds('01:02:03'), 3723);
+	assert.equal(toSeconds('1:00.5'), 60.5);
+	assert.equal(toSeconds('.25'), 0.25);
+	assert.equal(toSeconds(' 10 '), 10);
+	assert.equal(toSeconds(90), 90);
+});
+
+test('toSeconds keeps the sign', () => {
+	assert.equal(toSeconds('-1:00'), -60);
+	assert.equal(toSeconds('+30'), 30);
+	assert.equal(toSeconds('- 5'), -5);
+});
+
+test('toSeconds returns an empty string for empty input', () => {
+	assert.equal(toSeconds(''), '');
+});
+
+test('toSeconds returns NaN for invalid input', () => {
+	for(const input of ['abc', '1:2:3:4', '10s', ':30', '1::30', '--5', '+', 'NaN', undefined, null]) {
+		assert.ok(Number.isNaN(toSeconds(input)), `${input} should be NaN`);
+	}
+});
+
+test('resolveTime resolves absolute times', () => {
+	assert.equal(resolveTime('1:00', { duration: 100 }), 60);
+	assert.equal(resolveTime('0'), 0);
+});
+
+test('resolveTime resolves times relative to the current time', () => {
+	assert.equal(resolveTime('+30', { cur_time: 100 }), 130);
+	assert.equal(resolveTime('-1:00', { cur_time: 100 }), 40);
+	assert.equal(resolveTime('-1:00', { cur_time: 30 }), 0, 'never before the start');
+});
+
+test('resolveTime resolves times relative to the live edge and the end', () => {
+	const channel = { cur_time: 0, duration: 3600, live_edge: 3603 };
+
+	assert.equal(resolveTime('live-90', channel), 3513);
+	assert.equal(resolveTime('LIVE - 1:30', channel), 3513);
+	assert.equal(resolveTime('live', channel), 3603);
+	assert.equal(resolveTime('end-5:00', channel), 3300);
+	assert.equal(resolveTime('end', channel), 3600);
+});
+
+test('resolveTime resolves percentages of the duration', () => {
+	assert.equal(resolveTime('50%', { duration: 3600 }), 1800);
+	assert.equal(resolveTime('12.5 %', { duration: 800 }), 100);
+});
+
+test('resolveTime returns an empty string for empty input', () => {
+	assert.equal(resolveTime(''), '');
+	assert.equal(resolveTime('   '), '');
+});
+
+test('resolveTime returns NaN rather than a time to load for invalid input', () => {
+	const channel = { cur_time: 100, duration: 3600, live_edge: 3600 };
+
+	for(const input of ['abc', 'live-', 'live-abc', 'end+1:2:3:4', '%', '-50%', 'later', '1:00:00:00', '+']) {
+		const time = resolveTime(input, channel);
+		assert.ok(Number.isNaN(time), `${input} should be NaN, got ${time}`);
+	}
+});
+
+test('resolveTime returns NaN when what a time is relative to is unknown', () => {
+	assert.ok(Number.isNaN(resolveTime('+30', { cur_time: null, duration: 3600 })), 'not playing');
+	assert.ok(Number.isNaN(resolveTime('live-90', { cur_time: 0 })), 'channel not on the device');
+	assert.ok(Number.isNaN(resolveTime('end-5:00', {})), 'channel not on the device');
+	assert.ok(Number.isNaN(resolveTime('50%', {})), 'channel not on the device');
+});
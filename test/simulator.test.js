@@ -0,0 +1,139 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { register } from 'node:module';
+
+// Load the module against a stand-in for Companion, as the real entrypoint needs a running Companion
+register('./helpers/hooks.js', import.meta.url);
+await import('../index.js');
+const { ModuleClass } = await import('./helpers/companion-base.js');
+
+let instance = null;
+
+/**
+ * Start the module with the simulator enabled and wait for the socket to come up
+ * @param {Object} config Config fields on top of the simulation
+ * @returns {Promise<Object>} Module instance
+ */
+async function start(config = {}) {
+	instance = new ModuleClass();
+	await instance.init({ simulation: true, ...config });
+	await waitFor(() => instance.status?.status === 'ok', 'the connection to be ok');
+
+	return instance;
+}
+
+/**
+ * Wait until a condition holds, failing after a timeout
+ * @param {Function} condition
+ * @param {String} description Used in the failure message
+ * @param {Number} timeout Milliseconds
+ */
+async function waitFor(condition, description, timeout = 5000) {
+	const until = Date.now() + timeout;
+
+	while(!condition()) {
+		if(Date.now() > until) {
+			assert.fail('Timed out waiting for ' + description);
+		}
+		await new Promise(resolve => setTimeout(resolve, 50));
+	}
+}
+
+afterEach(async () => {
+	if(instance) {
+		await instance.destroy();
+		instance = null;
+	}
+});
+
+test('logs in to the simulator and connects the socket', async () => {
+	const m = await start();
+
+	assert.ok(m.session_id);
+	assert.ok(m.simulator.sessions.has(m.session_id));
+	assert.ok(m.socket);
+	assert.deepEqual(Object.keys(m.channels).sort(), ['sim_error', 'sim_live_1', 'sim_live_2', 'sim_recording']);
+});
+
+test('does not read the role without experimental features', async () => {
+	const m = await start({ username: 'haioperator' });
+
+	assert.equal(m.capabilities.role, null);
+	assert.equal(m.variables.user_role, '');
+	assert.equal(m.action_definitions.reboot.name, 'Reboot Device');
+});
+
+test('reads the administrator role with experimental features', async () => {
+	const m = await start({ username: 'admin', experimental: true });
+
+	assert.equal(m.capabilities.role, 'administrator');
+	assert.equal(m.variables.user_role, 'administrator');
+	assert.equal(m.variables.firmware_version, m.simulator.FIRMWARE_VERSION);
+	assert.equal(m.action_definitions.reboot.name, 'Reboot Device');
+});
+
+test('marks reboot unavailable for an operator with experimental features', async () => {
+	const m = await start({ username: 'haioperator', experimental: true });
+
+	assert.equal(m.capabilities.role, 'operator');
+	assert.equal(m.variables.user_role, 'operator');
+	assert.match(m.action_definitions.reboot.name, /unavailable/i);
+});
+
+test('loads a channel at a time', async () => {
+	const m = await start();
+
+	assert.equal(m.load_channel('sim_recording', 120), true);
+	await waitFor(() => m.simulator.players.player.active_channel_id === 'sim_recording', 'the simulator to load the channel');
+	assert.equal(m.cur_channel, 'sim_recording');
+	assert.equal(m.variables.channel_id, 'sim_recording');
+	assert.equal(m.variables.channel_name, 'Simulated Recording');
+	assert.ok(m.cur_time >= 120);
+});
+
+test('does not load an invalid channel', async () => {
+	const m = await start();
+
+	assert.equal(m.load_channel('sim_error', 0), false);
+	assert.equal(m.load_channel('not_a_channel', 0), false);
+	assert.ok(m.logs.some(log => log.level === 'warn' && log.message === 'Cannot load invalid channel sim_error'));
+	assert.equal(m.simulator.players.player.active_channel_id, null);
+});
+
+test('toggles the play state', async () => {
+	const m = await start();
+
+	// Loading a channel starts playback
+	m.load_channel('sim_recording', 0);
+	await waitFor(() => m.is_playing(), 'the channel to play');
+
+	assert.equal(m.play_pause(), true);
+	await waitFor(() => !m.is_playing(), 'playback to pause');
+	assert.equal(m.simulator.players.player.playing, false);
+
+	m.play_pause();
+	await waitFor(() => m.is_playing(), 'playback to resume');
+	assert.equal(m.simulator.players.player.playing, true);
+});
+
+test('reports a refused reboot without reconnecting', async () => {
+	const m = await start({ username: 'haioperator' });
+	const session_id = m.session_id;
+
+	await m.reboot();
+	assert.deepEqual(m.status, { status: 'unknown_warning', message: 'Account not permitted to reboot' });
+	assert.equal(m.session_id, session_id);
+	assert.ok(m.socket);
+});
+
+test('logs in again when the session has expired on reboot', async () => {
+	const m = await start({ username: 'admin' });
+	const session_id = m.session_id;
+
+	m.simulator.sessions.delete(session_id);
+	await m.reboot();
+	assert.ok(m.logs.some(log => log.level === 'error' && /session has expired/.test(log.message)));
+
+	await waitFor(() => m.session_id !== session_id && m.status?.status === 'ok', 'a new login');
+	assert.ok(m.simulator.sessions.has(m.session_id));
+});